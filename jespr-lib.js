@@ -121,6 +121,36 @@ Region.prototype.createHtml = function(){
     return s;
 };
 
+/*
+ * Shows or hides the region entirely (used in centered display, where only
+ * one region is on screen at a time)
+ */
+Region.prototype.show = function(){
+    this.html.style.display = "inline-block";
+    return this;
+};
+
+Region.prototype.hide = function(){
+    this.html.style.display = "none";
+    return this;
+};
+
+/*
+ * @returns The words of the region (i.e., separated by spaces)
+ */
+Region.prototype.getWords = function(){
+    var text = jesprTrim(this.text);
+    return text.length > 0 ? text.split(/\s+/) : [];
+};
+
+/*
+ * @returns The number of characters in the region, including any spaces
+ * between words but not those around the region
+ */
+Region.prototype.getLength = function(){
+    return jesprTrim(this.text).length;
+};
+
 Region.prototype.lockWidth = function(){
     // This function will only be effective after the region has been added
     // to the DOM and display is not 'none'. (but visibility may be 'hidden').
@@ -139,8 +169,11 @@ Region.prototype.lockWidth = function(){
  * @param isHorizontal - An optional parameter to indicate whether the regions
  * are presented horizontally (i.e., one-sentence stimuli) or vertically (i.e.,
  * multi-sentence stimuli). [default=true]
+ * @param optionOrder - "random" to shuffle the prompt options, or "fixed"
+ * @param promptSettings - An object with the prompt "type" ("choice", "likert"
+ * or "text") and, for likert prompts, the "scale-min-label" and "scale-max-label"
  */
-function Item(id, text, orientation, fixationChar, maskChar, display, prompt, options, feedbackOptions, setName, groupName, tags, experiment){
+function Item(id, text, orientation, fixationChar, maskChar, display, optionOrder, prompt, options, promptSettings, feedbackOptions, setName, groupName, tags, experiment){
     this.id = id;
     this.experiment = experiment;
     this.text = text; // Is it useful to store this as plain text: .replace(/\|/g, ' ') ?
@@ -156,15 +189,34 @@ function Item(id, text, orientation, fixationChar, maskChar, display, prompt, op
     this.regions = this.parseRegions();
     this.curRegionIndex = undefined;   // The index of the current SPR region being displayed
     this.prompt = prompt;
-    this.options = options;
-    // Right now the following is overridden by experiment-wide setting
-    this.optionOrder = "random"; // TODO: Implement a way for this to be set per item in json file
+    // Copy the options so that shuffling them doesn't change the order in the design
+    this.options = typeof options !== 'undefined' ? options.slice(0) : options;
+    this.designOptions = options; // The options in design order (for responseIndex)
+    this.isPractice = false; // Practice items are not counted in the experiment accuracy
+    this.isAttentionCheck = false; // Attention checks (catch trials) are counted separately from the experiment accuracy
+    this.practiceAttempt = "NA"; // For practice items, the practice attempt (when practice is repeated)
+    this.optionOrder = optionOrder;
+    this.promptType = typeof promptSettings !== 'undefined' ? promptSettings["type"] : "choice";
+    this.scaleLabels = typeof promptSettings !== 'undefined' ? [promptSettings["scale-min-label"], promptSettings["scale-max-label"]] : [];
+    this.optionKeys = []; // For each (displayed) option, the array of keys that select it
+    this.optionButtons = []; // With html-button input-method, the option (or submit) buttons
     this.showFeedback = false;
     this.setName = setName; // Name of stimulus set as given in json design object
     this.groupName = groupName; // Name of stimulus group as given in json design object
     this.tags = tags; // An array of strings which tag the item (e.g., experimental condition)
     this.html = this.createHtml();
     this.showTime;
+    this.onsetTime = "NA"; // The painted onset time of the fixation/region/prompt/feedback currently showing
+    this.onsetRequest = 0; // Counts onset stamps so that a late animation frame doesn't overwrite a newer one
+    this.scheduledOnset = "NA"; // With timed pacing, the time at which the current region was scheduled to appear
+    this.regionShowTime;  // With timed pacing, the time at which the current region actually appeared
+    this.regionTimer;     // With timed pacing, the PausableTimer that ends the current region (or blank)
+    this.pauseTime = "NA"; // While the experiment is paused, the time at which the pause began
+    this.scheduleShift = 0; // With timed pacing, the time the current region was paused (which delays its end)
+    this.regionDeadline;  // The time (in ms) allowed for reading each region (self-paced), if any
+    this.promptDeadline;  // The time (in ms) allowed for answering the prompt, if any
+    this.deadlineTimer;   // The PausableTimer for the deadline of the region or prompt showing (or for the "too slow" message)
+    this.timeoutTime = "NA"; // While the "too slow" message is showing, the time at which the deadline expired
     this.timeData = [];
 }
 
@@ -174,9 +226,11 @@ Item.prototype.show = function(frame, elapsedTime){
     this.html.style.display = "block"; // show it
     this.curRegionIndex = -1; // represents the fixation mark
     this.showTime = elapsedTime;
+    this.stampOnset();
 };
 
 Item.prototype.hide = function(){
+    stopTimer(this.deadlineTimer);
     this.html.style.display = "none";  // hide it
     this.frame.removeChild(this.html); // remove from DOM
     // TODO: Add data to hidden field in form (?)
@@ -184,179 +238,163 @@ Item.prototype.hide = function(){
 
 Item.prototype.processKeydown = function(keyCode, elapsedTime){
     var result = "continue";
+    if (this.timeoutTime !== "NA"){ // "too slow" message is showing
+        this.saveIgnoredInput(elapsedTime, "KBD:" + keyCode);
+        return result;
+    }
     switch (keyCode){
         case 32: // space bar
-            if (this.curRegionIndex === -1){ // fixation mark is showing
-                this.saveData(this.id + "_fixation", "NA", this.showTime, elapsedTime, "KBD:" + keyCode, this.fixationChar);
-                var fixationP = document.getElementById(this.id + "_fixation");
-                fixationP.style.display = "none";
-                var stimulusP = document.getElementById(this.id + "_stimulus");
-                stimulusP.style.display = "block";
-                for (var i=0; i<this.regions.length; i++){
-                    this.regions[i].unmask();
-                    this.regions[i].lockWidth();
-                    this.regions[i].mask(this.maskChar);
-                }
-                stimulusP.style.visibility = "visible";
-                this.curRegionIndex++;
-                this.regions[this.curRegionIndex].unmask();
-            } else if (this.curRegionIndex < this.regions.length-1){ // non-final SPR region is showing
-                var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
-                var curRegion = this.regions[this.curRegionIndex];
-                this.saveData(curRegion.id, this.curRegionIndex, showTime, elapsedTime, "KBD:" + keyCode, curRegion.text);
-                if (this.display === "moving window"){
-                    curRegion.mask(this.maskChar);
-                }
-                var nextRegion = this.regions[this.curRegionIndex+1];
-                nextRegion.unmask();
-                this.curRegionIndex++;
-            } else if (this.curRegionIndex === this.regions.length-1){ // final SPR region is showing
-                var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
-                var curRegion = this.regions[this.curRegionIndex];
-                this.saveData(curRegion.id, this.curRegionIndex, showTime, elapsedTime, "KBD:" + keyCode, curRegion.text);
-                this.curRegionIndex++;
-                if (typeof this.prompt !== 'undefined'){
-                    var stimulusP = document.getElementById(this.id + "_stimulus");
-                    stimulusP.style.display = "none";
-                    var promptP = document.getElementById(this.id + "_prompt");
-                    promptP.style.display = "block";
-                    promptP.style.visibility = "visible";
-                } else {
-                    this.hide();
-                    result = "end of screen";
+            if (this.curRegionIndex === this.regions.length){ // prompt is showing
+                if (this.promptType === "text"){
+                    break; // a space typed in the answer
                 }
-            } else if (this.curRegionIndex === this.regions.length){ // prompt is showing
                 // prompt is showing, but non-answer key pressed -- ignore
-            } else if (this.curRegionIndex === this.regions.length+1){ // feedback is showing
-                var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
-                var feedbackP = document.getElementById(this.id + "_feedback");
-                this.saveData(this.id + "_feedback", "NA", showTime, elapsedTime, "KBD:" + keyCode, feedbackP.getAttribute('data-feedback'));
-                this.hide();
-                result = "end of screen";
+                this.saveIgnoredInput(elapsedTime, "KBD:" + keyCode);
             } else {
-                // This case should never be reached, but if it is, end item
-                // to prevent getting stuck in an infinite loop
-                this.hide();
-                result = "end of screen";
+                result = this.advance(elapsedTime, "KBD:" + keyCode);
             }
             break;
-        // Option 1 buttons (on left-hand side of keyboard)
-        case 49:      // digit 1
-        case 113, 81: // q,Q
-        case 97, 65:  // a,A
-        case 122, 90: // z,Z
-            if (this.curRegionIndex === this.regions.length){
-                var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
-                var promptP = document.getElementById(this.id + "_prompt");
-                this.saveData(this.id + "_prompt", "NA", showTime, elapsedTime, "KBD:" + keyCode, promptP.getAttribute('data-string'));
-                if (this.showFeedback){
-                    promptP.style.display = "none";
-                    var feedbackP = document.getElementById(this.id + "_feedback");
-                    var feedbackSpan = document.getElementById(this.id + "_feedback_left");
-                    feedbackSpan.style.display = "inline-block";
-                    feedbackP.style.display = "block";
-                    feedbackP.style.visibility = "visible";
-                    feedbackP.setAttribute('data-feedback', feedbackSpan.getAttribute('data-string'));
-                    this.curRegionIndex++;
-                } else {
-                    this.hide();
-                    result = "end of screen";
-                }
-            }
-            break;
-        // Option 2 buttons (on right-hand side of keyboard)
-        case 48:      // digit 0
-        case 112, 80: // p,P
-        case 108, 76: // l,L
-        case 109, 77: // m,M
-            if (this.curRegionIndex === this.regions.length){
-                var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
-                var promptP = document.getElementById(this.id + "_prompt");
-                this.saveData(this.id + "_prompt", "NA", showTime, elapsedTime, "KBD:" + keyCode, promptP.getAttribute('data-string'));
-                if (this.showFeedback){
-                    promptP.style.display = "none";
-                    var feedbackP = document.getElementById(this.id + "_feedback");
-                    var feedbackSpan = document.getElementById(this.id + "_feedback_right");
-                    feedbackSpan.style.display = "inline-block";
-                    feedbackP.style.display = "block";
-                    feedbackP.style.visibility = "visible";
-                    feedbackP.setAttribute('data-feedback', feedbackSpan.getAttribute('data-string'));
-                    this.curRegionIndex++;
-                } else {
-                    this.hide();
-                    result = "end of screen";
-                }
+        case 13: // enter
+            if (this.curRegionIndex === this.regions.length && this.promptType === "text"){
+                result = this.submitText(elapsedTime, "KBD:" + keyCode);
+            } else {
+                this.saveIgnoredInput(elapsedTime, "KBD:" + keyCode);
             }
             break;
         default:
-            // Pressed other key -- do nothing
+            // Option keys (see getOptionKeys()); any other key is ignored,
+            // except while typing an answer to a text prompt
+            if (this.curRegionIndex === this.regions.length && this.promptType === "text"){
+                break;
+            }
+            var optionIndex = this.curRegionIndex === this.regions.length ? this.getOptionIndex(keyCode) : -1;
+            if (optionIndex > -1){
+                result = this.selectOption(optionIndex, elapsedTime, "KBD:" + keyCode);
+            } else {
+                this.saveIgnoredInput(elapsedTime, "KBD:" + keyCode);
+            }
     }
     return result;
 };
 
 Item.prototype.processNextButtonClick = function(elapsedTime){
+    var result = "continue";
+    if (this.timeoutTime !== "NA"){
+        // "too slow" message is showing -- ignore
+    } else if (this.curRegionIndex === this.regions.length){ // prompt is showing
+        // prompt is showing, but nextButton clicked
+        // should never reach here
+    } else {
+        result = this.advance(elapsedTime, "NEXT_BTN");
+    }
+    return result;
+};
+
+Item.prototype.processOptionButtonClick = function(elapsedTime, minTime, elId, parentId){
+    var result = "continue";
+    if (this.curRegionIndex === this.regions.length){
+        var which = elId.slice(elId.lastIndexOf("_") + 1); // option number or "submit"
+        if (which === "submit"){
+            result = this.submitText(elapsedTime, "SUBMIT_BTN");
+            if (this.curRegionIndex === this.regions.length){
+                return result; // nothing typed yet, so the prompt stays
+            }
+        } else {
+            var whichBtn = "OPTIONBTN:" + which;
+            if (this.promptType === "choice" && this.options.length === 2){
+                whichBtn = which === "1" ? "LEFT_OPTIONBTN" : "RIGHT_OPTIONBTN";
+            }
+            result = this.selectOption(Number(which) - 1, elapsedTime, whichBtn);
+        }
+        for (var i=0; i<this.optionButtons.length; i++){
+            if (this.optionButtons[i].removeEventListener) {
+                this.optionButtons[i].removeEventListener("click", this.experiment.processOptionButtonClick);
+            } else if (this.optionButtons[i].detachEvent) {
+                this.optionButtons[i].detachEvent("onclick", this.experiment.processOptionButtonClick);
+            }
+        }
+    } else {
+        // This case should never be reached, but if it is, end item
+        // to prevent getting stuck in an infinite loop
+        this.hide();
+        result = "end of screen";
+    }
+    var nextButton = document.getElementById("jespr.nextButton");
+    nextButton.disabled = false;
+    nextButton.style.visibility = "visible";
+    return result;
+};
+
+/*
+ * Handles a tap on the experiment frame when the input-method is "touchscreen".
+ * A tap anywhere advances through the fixation, regions and feedback, but
+ * while the prompt is showing only a tap on one of the option elements counts.
+ * @param elId - The ID of the element that was tapped
+ * @param x - The horizontal coordinate of the tap (relative to the viewport)
+ * @param y - The vertical coordinate of the tap (relative to the viewport)
+ */
+Item.prototype.processTouch = function(elapsedTime, minTime, elId, x, y){
+    var result = "continue";
+    var touchCode = "TOUCH:" + x + ";" + y;
+    if (this.timeoutTime !== "NA"){
+        // "too slow" message is showing -- ignore
+    } else if (this.curRegionIndex === this.regions.length){ // prompt is showing
+        if (elId === this.id + "_touchOption_submit"){
+            result = this.submitText(elapsedTime, touchCode);
+        } else if (typeof elId === 'string' && elId.indexOf(this.id + "_touchOption_") === 0){
+            result = this.selectOption(Number(elId.slice(elId.lastIndexOf("_") + 1)) - 1, elapsedTime, touchCode);
+        } else {
+            // prompt is showing, but tap was outside of the options -- ignore
+        }
+    } else {
+        result = this.advance(elapsedTime, touchCode);
+    }
+    return result;
+};
+
+/*
+ * Moves the item on by one step (fixation -> regions -> prompt, or
+ * feedback -> end) in response to a "continue" input event. Selecting an
+ * option while the prompt is showing is handled by selectOption().
+ * @param elapsedTime - The time of the input event
+ * @param eventCode - The code identifying the input event (e.g., KBD:32)
+ * @returns "continue" or "end of screen"
+ */
+Item.prototype.advance = function(elapsedTime, eventCode){
     var result = "continue";
     if (this.curRegionIndex === -1){ // fixation mark is showing
-        this.saveData(this.id + "_fixation", "NA", this.showTime, elapsedTime, "NEXT_BTN", this.fixationChar);
-        var fixationP = document.getElementById(this.id + "_fixation");
-        fixationP.style.display = "none";
-        var stimulusP = document.getElementById(this.id + "_stimulus");
-        stimulusP.style.display = "block";
-        for (var i=0; i<this.regions.length; i++){
-            this.regions[i].unmask();
-            this.regions[i].lockWidth();
-            this.regions[i].mask(this.maskChar);
+        this.saveData(this.id + "_fixation", "NA", this.showTime, elapsedTime, eventCode, this.fixationChar);
+        this.showStimulus();
+        if (this.experiment.pacing === "timed"){
+            this.scheduledOnset = elapsedTime;
+            this.regionShowTime = elapsedTime;
+            this.scheduleRegionEnd();
         }
-        stimulusP.style.visibility = "visible";
-        this.curRegionIndex++;
-        this.regions[this.curRegionIndex].unmask();
+    } else if (this.experiment.pacing === "timed" && this.curRegionIndex < this.regions.length){
+        // Regions are advancing on their own -- ignore input
+        this.saveIgnoredInput(elapsedTime, eventCode);
     } else if (this.curRegionIndex < this.regions.length-1){ // non-final SPR region is showing
-        var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
+        var showTime = this.getCurrentShowTime();
         var curRegion = this.regions[this.curRegionIndex];
-        this.saveData(curRegion.id, this.curRegionIndex, showTime, elapsedTime, "NEXT_BTN", curRegion.text);
-        if (this.display === "moving window"){
-            curRegion.mask(this.maskChar);
-        }
-        var nextRegion = this.regions[this.curRegionIndex+1];
-        nextRegion.unmask();
-        this.curRegionIndex++;
+        this.saveData(curRegion.id, this.curRegionIndex, showTime, elapsedTime, eventCode, curRegion.text);
+        this.showNextRegion();
     } else if (this.curRegionIndex === this.regions.length-1){ // final SPR region is showing
-        var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
+        var showTime = this.getCurrentShowTime();
         var curRegion = this.regions[this.curRegionIndex];
-        this.saveData(curRegion.id, this.curRegionIndex, showTime, elapsedTime, "NEXT_BTN", curRegion.text);
+        this.saveData(curRegion.id, this.curRegionIndex, showTime, elapsedTime, eventCode, curRegion.text);
         this.curRegionIndex++;
         if (typeof this.prompt !== 'undefined'){
-            var stimulusP = document.getElementById(this.id + "_stimulus");
-            stimulusP.style.display = "none";
-            var leftOptionButton = document.getElementById(this.id + "_optButton_1");
-            if (leftOptionButton.addEventListener) {
-                leftOptionButton.addEventListener("click", this.experiment.processOptionButtonClick);
-            } else if (leftOptionButton.attachEvent) { // For IE<9
-                leftOptionButton.attachEvent("onclick", this.experiment.processOptionButtonClick);
-            }
-            var rightOptionButton = document.getElementById(this.id + "_optButton_2");
-            if (rightOptionButton.addEventListener) { // For IE<9
-                rightOptionButton.addEventListener("click", this.experiment.processOptionButtonClick);
-            } else if (rightOptionButton.attachEvent) {
-                rightOptionButton.attachEvent("onclick", this.experiment.processOptionButtonClick);
-            }
-            var promptP = document.getElementById(this.id + "_prompt");
-            promptP.style.display = "block";
-            promptP.style.visibility = "visible";
-            var nextButton = document.getElementById("jespr.nextButton");
-            nextButton.disabled = true;
-            nextButton.style.visibility = "hidden";
+            this.showPrompt();
         } else {
             this.hide();
             result = "end of screen";
         }
     } else if (this.curRegionIndex === this.regions.length){ // prompt is showing
-        // prompt is showing, but nextButton clicked
-        // should never reach here
+        // Only an option can be chosen while the prompt is showing
     } else if (this.curRegionIndex === this.regions.length+1){ // feedback is showing
-        var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
+        var showTime = this.getCurrentShowTime();
         var feedbackP = document.getElementById(this.id + "_feedback");
-        this.saveData(this.id + "_feedback", "NA", showTime, elapsedTime, "NEXT_BTN", feedbackP.getAttribute('data-feedback'));
+        this.saveData(this.id + "_feedback", "NA", showTime, elapsedTime, eventCode, feedbackP.getAttribute('data-feedback'));
         this.hide();
         result = "end of screen";
     } else {
@@ -368,274 +406,892 @@ Item.prototype.processNextButtonClick = function(elapsedTime){
     return result;
 };
 
-Item.prototype.processOptionButtonClick = function(elapsedTime, minTime, elId, parentId){
+/*
+ * Records the choice of an option while the prompt is showing and then shows
+ * the corresponding feedback (if any) or ends the item.
+ * @param optionIndex - The (0-based) index of the option as displayed
+ * @returns "continue" or "end of screen"
+ */
+Item.prototype.selectOption = function(optionIndex, elapsedTime, eventCode){
     var result = "continue";
-    if (this.curRegionIndex === this.regions.length){
-        var showTime = this.timeData[this.timeData.length-1]["elapsedTime"];
-        var promptP = document.getElementById(this.id + "_prompt");
-        var whichBtn = elId.charAt(elId.length-1) === "1" ? "LEFT_OPTIONBTN" : "RIGHT_OPTIONBTN";
-        this.saveData(this.id + "_prompt", "NA", showTime, elapsedTime, whichBtn, promptP.getAttribute('data-string'));
-        var leftOptionButton = document.getElementById(this.id + "_optButton_1");
-        if (leftOptionButton.removeEventListener) {
-            leftOptionButton.removeEventListener("click", this.experiment.processOptionButtonClick);
-        } else if (leftOptionButton.detachEvent) {
-            leftOptionButton.detachEvent("onclick", this.experiment.processOptionButtonClick);
-        }
-        var rightOptionButton = document.getElementById(this.id + "_optButton_2");
-        if (rightOptionButton.removeEventListener) {
-            rightOptionButton.removeEventListener("click", this.experiment.processOptionButtonClick);
-        } else if (rightOptionButton.detachEvent) {
-            rightOptionButton.detachEvent("onclick", this.experiment.processOptionButtonClick);
-        }
-        if (this.showFeedback){
-            promptP.style.display = "none";
-            var feedbackP = document.getElementById(this.id + "_feedback");
-            var feedbackSpanId = elId.charAt(elId.length-1) === "1" ? this.id + "_feedback_left" : this.id + "_feedback_right";
-            var feedbackSpan = document.getElementById(feedbackSpanId);
-            feedbackSpan.style.display = "inline-block";
-            feedbackP.style.display = "block";
-            feedbackP.style.visibility = "visible";
-            feedbackP.setAttribute('data-feedback', feedbackSpan.getAttribute('data-string'));
-            this.curRegionIndex++;
+    var showTime = this.getCurrentShowTime();
+    var promptP = document.getElementById(this.id + "_prompt");
+    var option = this.options[optionIndex];
+    var responseIndex = "NA";
+    for (var i=0; i<this.designOptions.length; i++){
+        if (this.designOptions[i] === option){
+            responseIndex = i + 1;
+            break;
+        }
+    }
+    var accuracy = "NA"; // Only items with an option marked "correct" are scored
+    if (this.options.some(function(o){ return isTrue(o["correct"]); })){
+        accuracy = isTrue(option["correct"]) ? 1 : 0;
+        if (this.isAttentionCheck){
+            this.experiment.scoreAttentionCheck(this, accuracy);
         } else {
-            this.hide();
-            result = "end of screen";
+            this.experiment.scoreResponse(this, accuracy);
         }
+    }
+    this.saveData(this.id + "_prompt", "NA", showTime, elapsedTime, eventCode, promptP.getAttribute('data-string'), option["string"], responseIndex, accuracy);
+    this.experiment.setKeyboardHelp();
+    var feedbackSpan = document.getElementById(this.id + "_feedback_" + (optionIndex + 1));
+    if (this.showFeedback && feedbackSpan !== null){
+        promptP.style.display = "none";
+        this.displayFeedback(feedbackSpan.id);
+        this.curRegionIndex++;
     } else {
-        // This case should never be reached, but if it is, end item
-        // to prevent getting stuck in an infinite loop
         this.hide();
         result = "end of screen";
     }
-    var nextButton = document.getElementById("jespr.nextButton");
-    nextButton.disabled = false;
-    nextButton.style.visibility = "visible";
     return result;
 };
 
-Item.prototype.saveData = function(regionId, index, showTime, elapsedTime, keyCode, string){
-    var roiRelPosition = typeof index === 'number' ? this.regions[index].roiRelPosition : "NA";
-    roiRelPosition = typeof roiRelPosition === 'undefined' ? "NA" : roiRelPosition;
-    var data = { "regionId": regionId,
-                 "showTime": showTime,
-                 "elapsedTime": elapsedTime,
-                 "keyCode": keyCode,
-                 "string": string,
-                 "roiRelPosition": roiRelPosition };
-    this.timeData.push(data);
+/*
+ * Records the answer typed in to a text prompt and ends the item. Nothing
+ * happens if the answer is still empty.
+ * @returns "continue" or "end of screen"
+ */
+Item.prototype.submitText = function(elapsedTime, eventCode){
+    var result = "continue";
+    var textInput = document.getElementById(this.id + "_textResponse");
+    var answer = jesprTrim(textInput.value);
+    if (answer.length > 0){
+        var showTime = this.getCurrentShowTime();
+        var promptP = document.getElementById(this.id + "_prompt");
+        this.saveData(this.id + "_prompt", "NA", showTime, elapsedTime, eventCode, promptP.getAttribute('data-string'), answer);
+        textInput.blur();
+        this.experiment.setKeyboardHelp();
+        this.hide();
+        result = "end of screen";
+    }
+    return result;
 };
 
-Item.prototype.getData = function(participant, maxTags){
-    var result = "";
-    var lhq = "\"";
-    var rhq = "\"";
-    if (this.experiment.quoteMark === 'single_quote') {
-        lhq = "\'";
-        rhq = "\'";
-    } else if (this.experiment.quoteMark === 'curly_brackets') {
-        lhq = "{";
-        rhq = "}";
-    }
-    for (var i=0; i<this.timeData.length; i++){
-        var data = this.timeData[i];
-        var timeInterval = data["elapsedTime"] - data["showTime"];
-        var line = lhq + participant + rhq + "," + lhq + this.id + rhq;
-        line = line + "," + lhq + data["regionId"] + rhq;
-        line = line + "," + data["roiRelPosition"];
-        line = line + "," + data["elapsedTime"];
-        line = line + "," + timeInterval;
-        line = line + "," + lhq + data["keyCode"] + rhq;
-        line = line + "," + lhq + data["string"] + rhq;
-        if (this.setName === "NA"){
-            line = line + ",NA";
-        } else {
-            line = line + "," + lhq + this.setName + rhq;
-        }
-        if (this.groupName === "NA"){
-            line = line + ",NA";
-        } else {
-            line = line + "," + lhq + this.groupName + rhq;
-        }
-        for (var j=0; j<this.tags.length; j++){
-            if (this.tags[j].length > 0){
-                line = line + "," + lhq + this.tags[j] + rhq;
-            } else {
-                line = line + ",NA";
+/*
+ * Determines which option (if any) is selected by the given key
+ * @param keyCode - The keyCode of the pressed key
+ * @returns The (0-based) index of the option as displayed, or -1
+ */
+Item.prototype.getOptionIndex = function(keyCode){
+    var result = -1;
+    var key = keyCodeToChar(keyCode);
+    if (typeof key !== 'undefined'){
+        for (var i=0; i<this.optionKeys.length; i++){
+            if (this.optionKeys[i].some(function(k){ return k === key; })){
+                result = i;
+                break;
             }
         }
-        for (var k=this.tags.length; j<maxTags; j++){ line = line + ",NA"; }
-        line = line + "\n";
-        result = result + line;
     }
     return result;
 };
 
 /*
- * 
- * @param item - The Item object from which the html object should be created
- * @returns A <div> object with the associated mark-up
+ * Determines the keys for each (displayed) option. Options may define their
+ * own "keys" in the design. Otherwise, a two-option choice uses 1/Q/A/Z for the
+ * left-hand option and 0/P/L/M for the right-hand option, and other prompts
+ * use the digits 1, 2, 3,... in order.
+ * @returns An array (one per option) of arrays of lower-case key characters
  */
-Item.prototype.createHtml = function(){
-    var itemDiv = document.createElement("div");
-    itemDiv.className = "item";
-    itemDiv.id = this.id;
-    var fixationP = document.createElement("p");
-    fixationP.id = this.id + "_fixation";
-    fixationP.className = "fixation";
-    fixationP.textContent = this.fixationChar;
-    itemDiv.appendChild(fixationP);
-    // split string into regions
-    var itemP = document.createElement("p"); // create p container for regions
-    itemP.id = this.id + "_stimulus";
-    itemP.className = "stimulus";
-    // for each region
-    for (var i=0; i<this.regions.length; i++){
-        // add span to div
-        if (i>0){
-            if (this.orientation === 'horizontal'){ // single-line SPR type
-                var space1 = document.createTextNode(" ");
-                itemP.appendChild(space1);
-            } else if (this.orientation === 'vertical'){ // multi-line SPR type
-                var br1 = document.createElement("br");
-                itemP.appendChild(br1);
-            } else {
-                // Should never reach this point
+Item.prototype.getOptionKeys = function(){
+    var result = [];
+    for (var i=0; i<this.options.length; i++){
+        if (typeof this.options[i]["keys"] !== 'undefined'){
+            var keys = [];
+            for (var k=0; k<this.options[i]["keys"].length; k++){
+                keys.push(String(this.options[i]["keys"][k]).toLowerCase());
             }
+            result.push(keys);
+        } else if (this.promptType === "choice" && this.options.length === 2){
+            result.push(i === 0 ? ["1","q","a","z"] : ["0","p","l","m"]);
+        } else {
+            result.push([String(i+1)]);
         }
-        itemP.appendChild(this.regions[i].mask(this.maskChar).html);
     }
-    itemDiv.appendChild(itemP);
-    if (typeof this.prompt !== 'undefined'){
-        // Add prompt and options
-        var promptP = document.createElement("p");
-        promptP.id = this.id + "_prompt";
-        promptP.className = "prompt";
-        var promptText = document.createTextNode(this.prompt);
-        promptP.appendChild(promptText);
-        var br2 = document.createElement("br");
-        promptP.appendChild(br2);
-        if (this.experiment.optionOrder === "random"){ shuffle(this.options); }
-        if (this.experiment.inputMethod === "keyboard") {
-            var leftOption = document.createElement("span");
-            leftOption.id = this.id + "_option_1";
-            leftOption.className = "option";
-            leftOption.textContent = this.options[0]["string"];
-            promptP.appendChild(leftOption);
-            var space2 = document.createTextNode(" ");
-            promptP.appendChild(space2);
-            var rightOption = document.createElement("span");
-            rightOption.id = this.id + "_option_2";
-            rightOption.className = "option";
-            rightOption.textContent = this.options[1]["string"];
-            promptP.appendChild(rightOption);
-        } else if (this.experiment.inputMethod === "html-button") {
-            var leftOptButton = document.createElement("button");
-            leftOptButton.id = this.id + "_optButton_1";
-            leftOptButton.className = "optButton";
-            leftOptButton.textContent = this.options[0]["string"];
-            promptP.appendChild(leftOptButton);
-            var space2 = document.createTextNode(" ");
-            promptP.appendChild(space2);
-            var rightOptButton = document.createElement("button");
-            rightOptButton.id = this.id + "_optButton_2";
-            rightOptButton.className = "optButton";
-            rightOptButton.textContent = this.options[1]["string"];
-            promptP.appendChild(rightOptButton);
-        } else if (this.experiment.inputMethod === "touchscreen") {
-            // TODO: not yet implemented
-        }
-        promptP.setAttribute('data-string', this.prompt + "|" + this.options[0]["string"] + "|" + this.options[1]["string"]);
-        itemDiv.appendChild(promptP);
-        if (typeof this.options[0]["feedback"] !== 'undefined' || typeof this.options[0]["feedback-option"] !== 'undefined'){
-            // Add feedback element
-            var feedbackP = document.createElement("p");
-            feedbackP.id = this.id + "_feedback";
-            feedbackP.className = "feedback";
-            var leftFeedback = document.createElement("span");
-            leftFeedback.id = this.id + "_feedback_left";
-            leftFeedback.className = "feedback";
-            if (typeof this.options[0]["feedback-option"] !== 'undefined'){
-                leftFeedback.innerHTML = this.feedbackOptions[this.options[0]["feedback-option"]]["string"];
-                if (this.feedbackOptions[this.options[0]["feedback-option"]]["text-color"] !== 'undefined'){
-                    leftFeedback.style.color = this.feedbackOptions[this.options[0]["feedback-option"]]["text-color"];
-                }
-                leftFeedback.setAttribute('data-string', this.options[0]["feedback-option"]);
-            } else {
-                leftFeedback.innerHTML = this.options[0]["feedback"];
-                if (this.options[0]["text-color"] !== 'undefined'){
-                    leftFeedback.style.color = this.options[0]["text-color"];
-                }
-                leftFeedback.setAttribute('data-string', this.options[0]["feedback"]);
-            }
-            feedbackP.appendChild(leftFeedback);
-            var rightFeedback = document.createElement("span");
-            rightFeedback.id = this.id + "_feedback_right";
-            rightFeedback.className = "feedback";
-            if (typeof this.options[1]["feedback-option"] !== 'undefined'){
-                rightFeedback.innerHTML = this.feedbackOptions[this.options[1]["feedback-option"]]["string"];
-                if (this.feedbackOptions[this.options[1]["feedback-option"]]["text-color"] !== 'undefined'){
-                    rightFeedback.style.color = this.feedbackOptions[this.options[1]["feedback-option"]]["text-color"];
-                }
-                rightFeedback.setAttribute('data-string', this.options[1]["feedback-option"]);
-            } else {
-                rightFeedback.innerHTML = this.options[1]["feedback"];
-                if (this.options[1]["text-color"] !== 'undefined'){
-                    rightFeedback.style.color = this.options[1]["text-color"];
-                }
-                rightFeedback.setAttribute('data-string', this.options[1]["feedback"]);
-            }
-            feedbackP.appendChild(rightFeedback);
-            this.showFeedback = true;
-            itemDiv.appendChild(feedbackP);
+    return result;
+};
+
+/*
+ * Suspends the timers of the item while the experiment is paused (see
+ * Experiment.startInterruption())
+ */
+Item.prototype.pause = function(elapsedTime){
+    this.pauseTime = elapsedTime;
+    pauseTimer(this.regionTimer);
+    pauseTimer(this.deadlineTimer);
+};
+
+/*
+ * Restarts the timers of the item with the time they had left when the
+ * experiment was paused. With timed pacing, the rest of the schedule is
+ * delayed by the length of the pause.
+ */
+Item.prototype.resume = function(elapsedTime){
+    if (this.pauseTime === "NA"){
+        return;
+    }
+    if (typeof this.scheduledOnset === 'number'){
+        if (this.scheduledOnset > this.pauseTime){ // paused during the blank before the next region
+            this.scheduledOnset += elapsedTime - this.pauseTime;
+        } else {
+            this.scheduleShift += elapsedTime - this.pauseTime;
         }
     }
-    return itemDiv;
+    this.pauseTime = "NA";
+    resumeTimer(this.regionTimer);
+    resumeTimer(this.deadlineTimer);
 };
 
 /*
- * Parses a region-delimited text (with '|'), creates Region objects for each
- * and returns an array of these objects.
- * @param id - The Item ID; will be used to create sub-IDs for Regions
- * @param text - The delimited text string to be parsed
- * @returns An array containing the Region objects
+ * With timed pacing, sets a timer to end the current region after its
+ * duration. Durations are counted from the scheduled (not actual) onset so
+ * that timer delays do not accumulate over the regions of an item.
  */
-Item.prototype.parseRegions = function(){
-    var regionArr = [];
-    var regions = this.text.split("|");
-    var roiIndex = this.getRoi(regions);
-    if (roiIndex !== "NA"){
-        regions[roiIndex] = regions[roiIndex].replace('{','').replace('}','');
+Item.prototype.scheduleRegionEnd = function(){
+    var self = this;
+    var region = this.regions[this.curRegionIndex];
+    var scheduledOffset = this.scheduledOnset + this.experiment.getRegionDuration(region);
+    var delay = Math.max(0, scheduledOffset - this.experiment.getElapsedTime());
+    this.regionTimer = new PausableTimer(function(){ self.endTimedRegion(); }, delay);
+};
+
+/*
+ * With timed pacing, records the region that has just timed out and then
+ * shows the next region (after the blank, if any), or else moves on to the
+ * prompt or the next screen after the final region.
+ */
+Item.prototype.endTimedRegion = function(){
+    var self = this;
+    var elapsedTime = this.experiment.getElapsedTime();
+    var curRegion = this.regions[this.curRegionIndex];
+    var scheduledOffset = this.scheduledOnset + this.experiment.getRegionDuration(curRegion) + this.scheduleShift;
+    this.saveData(curRegion.id, this.curRegionIndex, this.regionShowTime, elapsedTime, "TIMER", curRegion.text);
+    this.scheduledOnset = scheduledOffset + this.experiment.blankDuration;
+    this.scheduleShift = 0;
+    if (this.curRegionIndex < this.regions.length-1){
+        var showNext = function(){
+            self.regionShowTime = self.experiment.getElapsedTime();
+            self.showNextRegion();
+            self.scheduleRegionEnd();
+        };
+        if (this.experiment.blankDuration > 0){
+            this.blankRegion();
+            var delay = Math.max(0, this.scheduledOnset - this.experiment.getElapsedTime());
+            this.regionTimer = new PausableTimer(showNext, delay);
+        } else {
+            showNext();
+        }
+    } else {
+        this.scheduledOnset = "NA";
+        this.curRegionIndex++;
+        if (typeof this.prompt !== 'undefined'){
+            this.showPrompt();
+        } else {
+            this.hide();
+            this.experiment.processResult("end of screen", elapsedTime);
+        }
     }
-    for (var i=0; i<regions.length; i++){
-        var region = new Region(this.id, regions[i], i, roiIndex, this);
-        regionArr.push(region);
+};
+
+/*
+ * Removes the current region from view during the blank between timed
+ * regions. (In cumulative display, regions stay on screen.)
+ */
+Item.prototype.blankRegion = function(){
+    var curRegion = this.regions[this.curRegionIndex];
+    if (this.display === "centered"){
+        curRegion.hide();
+    } else if (this.display === "moving window"){
+        curRegion.mask(this.maskChar);
     }
-    return regionArr;
+    this.stampOnset();
 };
 
 /*
- * A helper function to find the region marked as the region of interest
- * @param regions - An array of texts representing the experimental regions
- * @returns An integer representing the 0-indexed region of the array marked
- * as the region of interest (with curly braces {}), or -1 if not found
+ * Replaces the fixation mark with the (masked) stimulus and reveals the
+ * first region.
  */
-Item.prototype.getRoi = function(regions){
-    var result = "NA";
-    for (var i=0; i<regions.length; i++){
-        var r = jesprTrim(regions[i]);
-        if (r.charAt(0) === '{' && r.charAt(r.length-1) === '}'){
-            result = i;
-            break; // assumes only one ROI per item
+Item.prototype.showStimulus = function(){
+    var fixationP = document.getElementById(this.id + "_fixation");
+    fixationP.style.display = "none";
+    var stimulusP = document.getElementById(this.id + "_stimulus");
+    stimulusP.style.display = "block";
+    if (this.display !== "centered"){
+        for (var i=0; i<this.regions.length; i++){
+            this.regions[i].unmask();
+            this.regions[i].lockWidth();
+            this.regions[i].mask(this.maskChar);
         }
     }
-    return result;
+    stimulusP.style.visibility = "visible";
+    this.curRegionIndex++;
+    if (this.display === "centered"){
+        this.regions[this.curRegionIndex].show();
+    } else {
+        this.regions[this.curRegionIndex].unmask();
+    }
+    this.stampOnset();
+    if (this.experiment.pacing !== "timed"){
+        this.startDeadline(this.regionDeadline);
+    }
 };
 
 /*
- * The Title object merely defines the parameters related to a title screen
- * @param text - The text of the title of the experiment
- * @param primaryInvestigators - An array of names of the primary investigators
- * @param otherInvestigators - An array of names of other investigators
+ * Reveals the next region, masking the current one in moving window display
+ * or replacing it in centered display.
+ */
+Item.prototype.showNextRegion = function(){
+    var curRegion = this.regions[this.curRegionIndex];
+    var nextRegion = this.regions[this.curRegionIndex+1];
+    if (this.display === "centered"){
+        curRegion.hide();
+        nextRegion.show();
+    } else {
+        if (this.display === "moving window"){
+            curRegion.mask(this.maskChar);
+        }
+        nextRegion.unmask();
+    }
+    this.curRegionIndex++;
+    this.stampOnset();
+    if (this.experiment.pacing !== "timed"){
+        this.startDeadline(this.regionDeadline);
+    }
+};
+
+Item.prototype.showPrompt = function(){
+    var stimulusP = document.getElementById(this.id + "_stimulus");
+    stimulusP.style.display = "none";
+    if (this.experiment.inputMethod === "html-button"){
+        for (var i=0; i<this.optionButtons.length; i++){
+            if (this.optionButtons[i].addEventListener) {
+                this.optionButtons[i].addEventListener("click", this.experiment.processOptionButtonClick);
+            } else if (this.optionButtons[i].attachEvent) { // For IE<9
+                this.optionButtons[i].attachEvent("onclick", this.experiment.processOptionButtonClick);
+            }
+        }
+        var nextButton = document.getElementById("jespr.nextButton");
+        nextButton.disabled = true;
+        nextButton.style.visibility = "hidden";
+    }
+    var promptP = document.getElementById(this.id + "_prompt");
+    promptP.style.display = "block";
+    promptP.style.visibility = "visible";
+    if (this.promptType === "text"){
+        document.getElementById(this.id + "_textResponse").focus();
+    }
+    this.showPromptHelp();
+    this.stampOnset();
+    this.startDeadline(this.promptDeadline);
+};
+
+/*
+ * Shows how to answer the prompt in the keyboard help: the keys of the left-
+ * and right-hand options of a two-option choice, or a hint for other prompts
+ * (whose option keys are shown next to the options)
+ */
+Item.prototype.showPromptHelp = function(){
+    if (this.promptType === "text"){
+        this.experiment.setKeyboardHelp("", "Type your answer and press [enter]", "");
+    } else if (this.promptType === "choice" && this.options.length === 2){
+        var formatKeys = function(keys){
+            return keys.map(function(k){ return k.toUpperCase(); }).join("/");
+        };
+        this.experiment.setKeyboardHelp("Left option: " + formatKeys(this.optionKeys[0]), "", "Right option: " + formatKeys(this.optionKeys[1]));
+    } else {
+        this.experiment.setKeyboardHelp("", "Press the key shown next to your answer", "");
+    }
+};
+
+Item.prototype.displayFeedback = function(feedbackSpanId){
+    stopTimer(this.deadlineTimer);
+    var feedbackP = document.getElementById(this.id + "_feedback");
+    var feedbackSpan = document.getElementById(feedbackSpanId);
+    feedbackSpan.style.display = "inline-block";
+    feedbackP.style.display = "block";
+    feedbackP.style.visibility = "visible";
+    feedbackP.setAttribute('data-feedback', feedbackSpan.getAttribute('data-string'));
+    this.stampOnset();
+};
+
+/*
+ * Starts the deadline for the region or prompt that has just been shown
+ * (replacing the deadline of whatever was showing before)
+ * @param deadline - The time allowed (in ms), or undefined for no deadline
+ */
+Item.prototype.startDeadline = function(deadline){
+    var self = this;
+    stopTimer(this.deadlineTimer);
+    if (deadline > 0){
+        this.deadlineTimer = new PausableTimer(function(){ self.expireDeadline(); }, deadline);
+    }
+};
+
+/*
+ * Records a TIMEOUT event for the region or prompt whose deadline has
+ * expired and replaces it with the "too slow" message
+ */
+Item.prototype.expireDeadline = function(){
+    var self = this;
+    var elapsedTime = this.experiment.getElapsedTime();
+    if (this.curRegionIndex < this.regions.length){ // SPR region is showing
+        var curRegion = this.regions[this.curRegionIndex];
+        this.saveData(curRegion.id, this.curRegionIndex, this.getCurrentShowTime(), elapsedTime, "TIMEOUT", curRegion.text);
+        document.getElementById(this.id + "_stimulus").style.display = "none";
+    } else { // prompt is showing
+        var promptP = document.getElementById(this.id + "_prompt");
+        var accuracy = "NA";
+        if (this.isAttentionCheck){ // Too slow to answer counts as a failed attention check
+            accuracy = 0;
+            this.experiment.scoreAttentionCheck(this, accuracy);
+        }
+        this.saveData(this.id + "_prompt", "NA", this.getCurrentShowTime(), elapsedTime, "TIMEOUT", promptP.getAttribute('data-string'), "NA", "NA", accuracy);
+        promptP.style.display = "none";
+        this.experiment.setKeyboardHelp();
+        if (this.promptType === "text"){
+            document.getElementById(this.id + "_textResponse").blur();
+        }
+        if (this.experiment.inputMethod === "html-button"){
+            for (var i=0; i<this.optionButtons.length; i++){
+                if (this.optionButtons[i].removeEventListener) {
+                    this.optionButtons[i].removeEventListener("click", this.experiment.processOptionButtonClick);
+                } else if (this.optionButtons[i].detachEvent) {
+                    this.optionButtons[i].detachEvent("onclick", this.experiment.processOptionButtonClick);
+                }
+            }
+            var nextButton = document.getElementById("jespr.nextButton");
+            nextButton.disabled = false;
+            nextButton.style.visibility = "visible";
+        }
+    }
+    this.experiment.jesprLog("Deadline expired: " + this.timeData[this.timeData.length-1]["regionId"]);
+    this.timeoutTime = elapsedTime;
+    var timeoutP = document.getElementById(this.id + "_timeout");
+    timeoutP.style.display = "block";
+    timeoutP.style.visibility = "visible";
+    this.stampOnset();
+    this.deadlineTimer = new PausableTimer(function(){ self.endTimeoutMessage(); }, this.experiment.timeoutMessageDuration);
+};
+
+/*
+ * Records the "too slow" message as an event and then, after a region timed
+ * out with timeout-action "advance", goes on to the next region (or the
+ * prompt). Otherwise the item ends.
+ */
+Item.prototype.endTimeoutMessage = function(){
+    var elapsedTime = this.experiment.getElapsedTime();
+    this.saveData(this.id + "_timeout", "NA", this.timeoutTime, elapsedTime, "TIMER", this.experiment.timeoutMessage);
+    this.timeoutTime = "NA";
+    document.getElementById(this.id + "_timeout").style.display = "none";
+    if (this.experiment.timeoutAction === "advance" && this.curRegionIndex < this.regions.length-1){
+        document.getElementById(this.id + "_stimulus").style.display = "block";
+        this.showNextRegion();
+    } else if (this.experiment.timeoutAction === "advance" && this.curRegionIndex === this.regions.length-1 && typeof this.prompt !== 'undefined'){
+        this.curRegionIndex++;
+        this.showPrompt();
+    } else {
+        this.hide();
+        this.experiment.processResult("end of screen", elapsedTime);
+    }
+};
+
+/*
+ * With "performance" timing, records the time at which the most recent
+ * change to the display (fixation, region, prompt or feedback) was actually
+ * painted, i.e., the timestamp of the next animation frame. Until that frame
+ * arrives (or with "date" timing), the onset time is "NA".
+ */
+Item.prototype.stampOnset = function(){
+    var self = this;
+    var onsetRequest = ++this.onsetRequest;
+    this.onsetTime = "NA";
+    if (this.experiment.timing === "performance"){
+        window.requestAnimationFrame(function(timestamp){
+            // Ignore the frame if the display has already changed again
+            if (onsetRequest === self.onsetRequest){
+                self.onsetTime = self.experiment.toElapsedTime(timestamp);
+            }
+        });
+    }
+};
+
+Item.prototype.saveData = function(regionId, index, showTime, elapsedTime, keyCode, string, response, responseIndex, accuracy){
+    var roiRelPosition = typeof index === 'number' ? this.regions[index].roiRelPosition : "NA";
+    roiRelPosition = typeof roiRelPosition === 'undefined' ? "NA" : roiRelPosition;
+    var data = { "regionId": regionId,
+                 "showTime": showTime,
+                 "elapsedTime": elapsedTime,
+                 "onsetTime": this.onsetTime,
+                 "scheduledOnset": typeof index === 'number' ? this.scheduledOnset : "NA",
+                 "keyCode": keyCode,
+                 "string": string,
+                 "response": typeof response !== 'undefined' ? response : "NA",
+                 "responseIndex": typeof responseIndex !== 'undefined' ? responseIndex : "NA",
+                 "accuracy": typeof accuracy !== 'undefined' ? accuracy : "NA",
+                 "roiRelPosition": roiRelPosition,
+                 "regionIndex": typeof index === 'number' ? index : "NA",
+                 "resumeCount": this.experiment.resumeCount,
+                 "releaseTime": "NA",
+                 "ignored": 0,
+                 "interruptionTime": this.experiment.getInterruptionTime(showTime, elapsedTime) };
+    this.timeData.push(data);
+    if (keyCode.indexOf("KBD:") === 0){
+        this.experiment.awaitKeyRelease(data);
+    }
+    return data;
+};
+
+/*
+ * Records an input that had no effect (e.g., the space bar while the prompt
+ * is showing, or an option key while a region is showing) as an event of
+ * whatever is currently showing, so that anticipatory and rapid-fire presses
+ * can be identified. These events are marked as ignored in the results.
+ * @param elapsedTime - The time of the input event
+ * @param eventCode - The code identifying the input event (e.g., KBD:49)
+ */
+Item.prototype.saveIgnoredInput = function(elapsedTime, eventCode){
+    var data;
+    if (this.timeoutTime !== "NA"){ // "too slow" message is showing
+        data = this.saveData(this.id + "_timeout", "NA", this.timeoutTime, elapsedTime, eventCode, this.experiment.timeoutMessage);
+    } else if (this.curRegionIndex === -1){ // fixation mark is showing
+        data = this.saveData(this.id + "_fixation", "NA", this.showTime, elapsedTime, eventCode, this.fixationChar);
+    } else if (this.curRegionIndex < this.regions.length){ // SPR region is showing
+        var curRegion = this.regions[this.curRegionIndex];
+        var showTime = this.experiment.pacing === "timed" ? this.regionShowTime : this.getCurrentShowTime();
+        data = this.saveData(curRegion.id, this.curRegionIndex, showTime, elapsedTime, eventCode, curRegion.text);
+    } else if (this.curRegionIndex === this.regions.length){ // prompt is showing
+        var promptP = document.getElementById(this.id + "_prompt");
+        data = this.saveData(this.id + "_prompt", "NA", this.getCurrentShowTime(), elapsedTime, eventCode, promptP.getAttribute('data-string'));
+    } else { // feedback is showing
+        var feedbackP = document.getElementById(this.id + "_feedback");
+        data = this.saveData(this.id + "_feedback", "NA", this.getCurrentShowTime(), elapsedTime, eventCode, feedbackP.getAttribute('data-feedback'));
+    }
+    data["ignored"] = 1;
+};
+
+/*
+ * @returns The time at which whatever is currently showing appeared, i.e.,
+ * the time of the last (not ignored) event, or the time the item was shown
+ */
+Item.prototype.getCurrentShowTime = function(){
+    for (var i=this.timeData.length-1; i>=0; i--){
+        if (this.timeData[i]["ignored"] !== 1){
+            return this.timeData[i]["elapsedTime"];
+        }
+    }
+    return this.showTime;
+};
+
+/*
+ * Gets what must be kept in an autosave checkpoint to restore this item
+ * (after it has been completed): its data and the order of its options.
+ */
+Item.prototype.getState = function(){
+    var optionOrder = [];
+    if (typeof this.options !== 'undefined'){
+        for (var i=0; i<this.options.length; i++){
+            for (var j=0; j<this.designOptions.length; j++){
+                if (this.designOptions[j] === this.options[i]){ optionOrder.push(j); }
+            }
+        }
+    }
+    return { "timeData": this.timeData,
+             "optionOrder": optionOrder,
+             "isPractice": this.isPractice,
+             "practiceAttempt": this.practiceAttempt };
+};
+
+/*
+ * Records that the item was interrupted (e.g., by a reload of the page) and
+ * is shown again from the beginning when the session is resumed. Its events
+ * before the interruption were not saved, so a RESUMED row marks the restart.
+ * @param showTime - When the item was first shown (i.e., when the checkpoint was saved)
+ * @param elapsedTime - When the session was resumed
+ */
+Item.prototype.markRestarted = function(showTime, elapsedTime){
+    this.saveData(this.id + "_restart", "NA", showTime, elapsedTime, "RESUMED", null);
+};
+
+Item.prototype.restoreState = function(state){
+    this.timeData = state["timeData"];
+    this.isPractice = state["isPractice"];
+    this.practiceAttempt = state["practiceAttempt"];
+    if (typeof this.options !== 'undefined' && state["optionOrder"].length === this.designOptions.length){
+        for (var i=0; i<state["optionOrder"].length; i++){
+            this.options[i] = this.designOptions[state["optionOrder"][i]];
+        }
+    }
+};
+
+/*
+ * Gets the lexical annotation columns for a region: its length in characters
+ * and in words, its (1-based) position, the number of regions in the item
+ * and, with a lexicon, the mean frequency of its words (NA if any word is not
+ * in the lexicon).
+ * @param index - The index of the region, or "NA" for fixation, prompt and feedback rows
+ * @returns An array of values
+ */
+Item.prototype.getLexicalAnnotations = function(index){
+    var result = [null, null, null, null];
+    if (typeof index === 'number'){
+        var region = this.regions[index];
+        result = [region.getLength(), region.getWords().length, index + 1, this.regions.length];
+    }
+    if (typeof this.experiment.lexiconSource !== 'undefined'){
+        result.push(typeof index === 'number' ? this.experiment.getFrequency(this.regions[index].getWords()) : null);
+    }
+    return result;
+};
+
+/*
+ * Gets the reading times of this item's regions together with their lengths
+ * @returns An array of [length, reading time] pairs
+ */
+Item.prototype.getRegionReadingTimes = function(){
+    var result = [];
+    for (var i=0; i<this.timeData.length; i++){
+        var data = this.timeData[i];
+        if (this.isReadingTime(data)){
+            result.push([this.regions[data["regionIndex"]].getLength(), data["elapsedTime"] - data["showTime"]]);
+        }
+    }
+    return result;
+};
+
+/*
+ * Returns true if a timeData entry is the reading time of a region: a
+ * response that ended the region, and not a deadline that expired (TIMEOUT),
+ * a region ended by the timer of timed pacing (TIMER) or a region that was
+ * interrupted
+ * @param data - An entry of timeData
+ */
+Item.prototype.isReadingTime = function(data){
+    return typeof data["regionIndex"] === 'number' && data["ignored"] !== 1 && data["keyCode"] !== "TIMEOUT" &&
+           data["keyCode"] !== "TIMER" && !(data["interruptionTime"] > 0);
+};
+
+/*
+ * Gets the item info and all of its timeData for the JSON results
+ */
+Item.prototype.getJson = function(){
+    var options = [];
+    if (typeof this.options !== 'undefined'){
+        for (var i=0; i<this.options.length; i++){
+            options.push(this.options[i]["string"]); // in the order shown
+        }
+    }
+    var events = [];
+    for (var j=0; j<this.timeData.length; j++){
+        var event = {};
+        for (var name in this.timeData[j]){
+            if (this.timeData[j].hasOwnProperty(name)){
+                event[name] = naToNull(this.timeData[j][name]);
+            }
+        }
+        events.push(event);
+    }
+    return { "id": this.id,
+             "text": this.text,
+             "setName": naToNull(this.setName),
+             "groupName": naToNull(this.groupName),
+             "tags": this.tags,
+             "isPractice": this.isPractice,
+             "practiceAttempt": naToNull(this.practiceAttempt),
+             "attentionCheck": this.isAttentionCheck,
+             "display": this.display,
+             "orientation": this.orientation,
+             "maskingChar": this.maskChar,
+             "fixationChar": this.fixationChar,
+             "optionOrder": this.optionOrder,
+             "prompt": typeof this.prompt !== 'undefined' ? this.prompt : null,
+             "promptType": typeof this.prompt !== 'undefined' ? this.promptType : null,
+             "options": options,
+             "events": events };
+};
+
+/*
+ * Gets the output rows for this item: one row per fixation, region, prompt and
+ * feedback event. Missing values are null and are written as the NA token.
+ * @param participant - The participant identifier
+ * @param maxTags - The number of tag columns in the output
+ * @returns An array of rows, each of which is an array of values
+ */
+Item.prototype.getRows = function(participant, maxTags){
+    var rows = [];
+    for (var i=0; i<this.timeData.length; i++){
+        var data = this.timeData[i];
+        var timeInterval = Math.round((data["elapsedTime"] - data["showTime"]) * 1000) / 1000;
+        var row = [participant, this.id, data["regionId"], naToNull(data["roiRelPosition"]), data["elapsedTime"], timeInterval];
+        if (this.experiment.timing === "performance"){
+            var exposureTime = data["onsetTime"] === "NA" ? "NA" : Math.round((data["elapsedTime"] - data["onsetTime"]) * 1000) / 1000;
+            row.push(naToNull(data["onsetTime"]), naToNull(exposureTime));
+        }
+        if (this.experiment.pacing === "timed"){
+            row.push(naToNull(data["scheduledOnset"]));
+        }
+        row.push(data["keyCode"], data["string"]);
+        row = row.concat(getKeyReleaseColumns(data["elapsedTime"], data["releaseTime"]));
+        row.push(data["ignored"] === 1 ? 1 : 0);
+        if (this.experiment.hasInterruptionColumn()){
+            row.push(typeof data["interruptionTime"] === 'number' ? data["interruptionTime"] : null);
+        }
+        if (this.experiment.hasFullscreenColumn()){
+            row.push(this.experiment.getFullscreenState(data["elapsedTime"]));
+        }
+        if (this.experiment.lexicalAnnotations){
+            row = row.concat(this.getLexicalAnnotations(data["regionIndex"]));
+        }
+        if (this.experiment.residualReadingTimes){
+            if (this.isReadingTime(data)){
+                var length = this.regions[data["regionIndex"]].getLength();
+                row.push(this.experiment.getResidual(timeInterval, length), length > 0 ? Math.round(timeInterval / length * 1000) / 1000 : null);
+            } else {
+                row.push(null, null);
+            }
+        }
+        row.push(naToNull(data["response"]), naToNull(data["responseIndex"]), naToNull(data["accuracy"]));
+        row.push(naToNull(this.setName), naToNull(this.groupName));
+        if (this.experiment.listAssignment === "latin-square"){
+            row.push(this.experiment.list);
+        }
+        if (this.experiment.hasPracticeLoop()){
+            row.push(naToNull(this.practiceAttempt));
+        }
+        if (this.experiment.hasAttentionChecks()){
+            row.push(this.isAttentionCheck ? 1 : 0);
+        }
+        if (this.experiment.autosave !== "none"){
+            row.push(data["resumeCount"]);
+        }
+        row.push(this.display, this.orientation, this.maskChar, this.fixationChar, this.optionOrder);
+        row.push(this.experiment.designFingerprint);
+        for (var j=0; j<maxTags; j++){
+            row.push(j < this.tags.length && this.tags[j].length > 0 ? this.tags[j] : null);
+        }
+        rows.push(row);
+    }
+    return rows;
+};
+
+/*
+ * 
+ * @param item - The Item object from which the html object should be created
+ * @returns A <div> object with the associated mark-up
+ */
+Item.prototype.createHtml = function(){
+    var itemDiv = document.createElement("div");
+    itemDiv.className = "item";
+    itemDiv.id = this.id;
+    var fixationP = document.createElement("p");
+    fixationP.id = this.id + "_fixation";
+    fixationP.className = "fixation";
+    fixationP.textContent = this.fixationChar;
+    itemDiv.appendChild(fixationP);
+    // split string into regions
+    var itemP = document.createElement("p"); // create p container for regions
+    itemP.id = this.id + "_stimulus";
+    itemP.className = "stimulus";
+    if (this.display === "centered"){
+        // Each region is shown alone (and unmasked) in the center of the
+        // screen, so there is no mask line or spacing between regions
+        itemP.className = "stimulus centered";
+    }
+    // for each region
+    for (var i=0; i<this.regions.length; i++){
+        if (this.display === "centered"){
+            itemP.appendChild(this.regions[i].hide().html);
+        } else {
+            // add span to div
+            if (i>0){
+                if (this.orientation === 'horizontal'){ // single-line SPR type
+                    var space1 = document.createTextNode(" ");
+                    itemP.appendChild(space1);
+                } else if (this.orientation === 'vertical'){ // multi-line SPR type
+                    var br1 = document.createElement("br");
+                    itemP.appendChild(br1);
+                } else {
+                    // Should never reach this point
+                }
+            }
+            itemP.appendChild(this.regions[i].mask(this.maskChar).html);
+        }
+    }
+    itemDiv.appendChild(itemP);
+    if (typeof this.prompt !== 'undefined'){
+        // Add prompt and options
+        var promptP = document.createElement("p");
+        promptP.id = this.id + "_prompt";
+        promptP.className = "prompt";
+        var promptText = document.createTextNode(this.prompt);
+        promptP.appendChild(promptText);
+        var br2 = document.createElement("br");
+        promptP.appendChild(br2);
+        if (this.promptType === "text"){
+            var textInput = document.createElement("input");
+            textInput.type = "text";
+            textInput.id = this.id + "_textResponse";
+            textInput.className = "textResponse";
+            textInput.setAttribute("autocomplete", "off");
+            promptP.appendChild(textInput);
+            if (this.experiment.inputMethod === "html-button") {
+                var submitButton = document.createElement("button");
+                submitButton.id = this.id + "_optButton_submit";
+                submitButton.className = "optButton";
+                submitButton.textContent = "Submit";
+                this.optionButtons.push(submitButton);
+                promptP.appendChild(submitButton);
+            } else if (this.experiment.inputMethod === "touchscreen") {
+                var submitTouchOption = document.createElement("span");
+                submitTouchOption.id = this.id + "_touchOption_submit";
+                submitTouchOption.className = "touchOption";
+                submitTouchOption.textContent = "Submit";
+                promptP.appendChild(submitTouchOption);
+            }
+            promptP.setAttribute('data-string', this.prompt);
+        } else {
+            if (this.promptType === "likert"){ promptP.className = "prompt scale"; }
+            if (this.optionOrder === "random" && this.promptType !== "likert"){ shuffle(this.options); }
+            this.optionKeys = this.getOptionKeys();
+            // Show which key selects which option unless the usual left/right keys are used
+            var showKeys = this.options.length !== 2 || this.promptType !== "choice" || this.options.some(function(o){ return typeof o["keys"] !== 'undefined'; });
+            if (this.promptType === "likert" && typeof this.scaleLabels[0] !== 'undefined'){
+                var minLabel = document.createElement("span");
+                minLabel.className = "scaleLabel";
+                minLabel.textContent = this.scaleLabels[0];
+                promptP.appendChild(minLabel);
+            }
+            var dataString = this.prompt;
+            for (var i=0; i<this.options.length; i++){
+                if (i>0){
+                    var space2 = document.createTextNode(" ");
+                    promptP.appendChild(space2);
+                }
+                if (this.experiment.inputMethod === "keyboard") {
+                    var option = document.createElement("span");
+                    option.id = this.id + "_option_" + (i+1);
+                    option.className = "option";
+                    if (showKeys){
+                        var optionKey = document.createElement("span");
+                        optionKey.className = "optionKey";
+                        optionKey.textContent = "[" + this.optionKeys[i][0].toUpperCase() + "]";
+                        option.appendChild(optionKey);
+                    }
+                    option.appendChild(document.createTextNode(this.options[i]["string"]));
+                    promptP.appendChild(option);
+                } else if (this.experiment.inputMethod === "html-button") {
+                    var optButton = document.createElement("button");
+                    optButton.id = this.id + "_optButton_" + (i+1);
+                    optButton.className = "optButton";
+                    optButton.textContent = this.options[i]["string"];
+                    this.optionButtons.push(optButton);
+                    promptP.appendChild(optButton);
+                } else if (this.experiment.inputMethod === "touchscreen") {
+                    var touchOption = document.createElement("span");
+                    touchOption.id = this.id + "_touchOption_" + (i+1);
+                    touchOption.className = "touchOption";
+                    touchOption.textContent = this.options[i]["string"];
+                    promptP.appendChild(touchOption);
+                }
+                dataString = dataString + "|" + this.options[i]["string"];
+            }
+            if (this.promptType === "likert" && typeof this.scaleLabels[1] !== 'undefined'){
+                var maxLabel = document.createElement("span");
+                maxLabel.className = "scaleLabel";
+                maxLabel.textContent = this.scaleLabels[1];
+                promptP.appendChild(maxLabel);
+            }
+            promptP.setAttribute('data-string', dataString);
+        }
+        itemDiv.appendChild(promptP);
+        var hasFeedback = this.promptType !== "text" && this.options.some(function(o){
+            return typeof o["feedback"] !== 'undefined' || typeof o["feedback-option"] !== 'undefined';
+        });
+        if (hasFeedback){
+            // Add feedback element with one (hidden) span per option that has feedback
+            var feedbackP = document.createElement("p");
+            feedbackP.id = this.id + "_feedback";
+            feedbackP.className = "feedback";
+            for (var j=0; j<this.options.length; j++){
+                var opt = this.options[j];
+                if (typeof opt["feedback"] === 'undefined' && typeof opt["feedback-option"] === 'undefined'){
+                    continue;
+                }
+                var feedbackSpan = document.createElement("span");
+                feedbackSpan.id = this.id + "_feedback_" + (j+1);
+                feedbackSpan.className = "feedback";
+                if (typeof opt["feedback-option"] !== 'undefined'){
+                    feedbackSpan.innerHTML = this.feedbackOptions[opt["feedback-option"]]["string"];
+                    if (typeof this.feedbackOptions[opt["feedback-option"]]["text-color"] !== 'undefined'){
+                        feedbackSpan.style.color = this.feedbackOptions[opt["feedback-option"]]["text-color"];
+                    }
+                    feedbackSpan.setAttribute('data-string', opt["feedback-option"]);
+                } else {
+                    feedbackSpan.innerHTML = opt["feedback"];
+                    if (typeof opt["text-color"] !== 'undefined'){
+                        feedbackSpan.style.color = opt["text-color"];
+                    }
+                    feedbackSpan.setAttribute('data-string', opt["feedback"]);
+                }
+                feedbackP.appendChild(feedbackSpan);
+            }
+            this.showFeedback = true;
+            itemDiv.appendChild(feedbackP);
+        }
+    }
+    // The "too slow" message, shown when a region or prompt deadline expires
+    var timeoutP = document.createElement("p");
+    timeoutP.id = this.id + "_timeout";
+    timeoutP.className = "timeout";
+    timeoutP.textContent = this.experiment.timeoutMessage;
+    itemDiv.appendChild(timeoutP);
+    return itemDiv;
+};
+
+/*
+ * Parses a region-delimited text (with '|'), creates Region objects for each
+ * and returns an array of these objects.
+ * @param id - The Item ID; will be used to create sub-IDs for Regions
+ * @param text - The delimited text string to be parsed
+ * @returns An array containing the Region objects
+ */
+Item.prototype.parseRegions = function(){
+    var regionArr = [];
+    var regions = this.text.split("|");
+    var roiIndex = this.getRoi(regions);
+    if (roiIndex !== "NA"){
+        regions[roiIndex] = regions[roiIndex].replace('{','').replace('}','');
+    }
+    for (var i=0; i<regions.length; i++){
+        var region = new Region(this.id, regions[i], i, roiIndex, this);
+        regionArr.push(region);
+    }
+    return regionArr;
+};
+
+/*
+ * A helper function to find the region marked as the region of interest
+ * @param regions - An array of texts representing the experimental regions
+ * @returns An integer representing the 0-indexed region of the array marked
+ * as the region of interest (with curly braces {}), or -1 if not found
+ */
+Item.prototype.getRoi = function(regions){
+    var result = "NA";
+    for (var i=0; i<regions.length; i++){
+        var r = jesprTrim(regions[i]);
+        if (r.charAt(0) === '{' && r.charAt(r.length-1) === '}'){
+            result = i;
+            break; // assumes only one ROI per item
+        }
+    }
+    return result;
+};
+
+/*
+ * The Title object merely defines the parameters related to a title screen
+ * @param text - The text of the title of the experiment
+ * @param primaryInvestigators - An array of names of the primary investigators
+ * @param otherInvestigators - An array of names of other investigators
  */
 function Title(text, primaryInvestigators, otherInvestigators, experiment){
     this.id = "title";
@@ -645,9 +1301,11 @@ function Title(text, primaryInvestigators, otherInvestigators, experiment){
     this.experiment = experiment;
     this.html = this.createHtml();
     this.frame = undefined;
+    this.resumeCount = "NA"; // The number of times the session had been resumed when this screen was shown
     this.showTime;
     this.elapsedTime;
     this.keyCode;
+    this.releaseTime = "NA"; // The time at which the key that ended the screen was released
 }
 
 Title.prototype.show = function(frame, elapsedTime){
@@ -655,6 +1313,7 @@ Title.prototype.show = function(frame, elapsedTime){
     this.frame.appendChild(this.html); // add to DOM
     this.html.style.display = "block"; // show it
     this.showTime = elapsedTime;
+    this.resumeCount = this.experiment.resumeCount;
 };
 
 Title.prototype.hide = function(){
@@ -669,6 +1328,8 @@ Title.prototype.processKeydown = function(keyCode, elapsedTime, minTime){
             case 32: // space bar
                 this.elapsedTime = elapsedTime;
                 this.keyCode = "KBD:" + keyCode;
+                this.releaseTime = "NA";
+                this.experiment.awaitKeyRelease(this);
                 this.hide();
                 result = "end of screen";
                 break;
@@ -695,22 +1356,64 @@ Title.prototype.processOptionButtonClick = function(elapsedTime, minTime, id, pa
     return "end of screen";
 };
 
-Title.prototype.getData = function(participant, maxTags){
-    var lhq = "\"";
-    var rhq = "\"";
-    if (this.experiment.quoteMark === 'single_quote') {
-        lhq = "\'";
-        rhq = "\'";
-    } else if (this.experiment.quoteMark === 'curly_brackets') {
-        lhq = "{";
-        rhq = "}";
-    }
-    var timeInterval = this.elapsedTime - this.showTime;
-    var result = lhq + participant + rhq + "," + lhq + this.id + rhq + ",NA,NA," + this.elapsedTime + "," + timeInterval + "," + lhq + this.keyCode + rhq + "," + lhq + truncateText(this.text, 40) + rhq + ",NA,NA";
-    for (var i=0; i<maxTags; i++){ result = result + ",NA"; }
-    result = result + "\n";
-    return result;
-};
+Title.prototype.processTouch = function(elapsedTime, minTime, elId, x, y){
+    var result = "continue";
+    if (elapsedTime - this.showTime > minTime){
+        this.elapsedTime = elapsedTime;
+        this.keyCode = "TOUCH:" + x + ";" + y;
+        this.hide();
+        result = "end of screen";
+    }
+    return result;
+};
+
+Title.prototype.getJson = function(){
+    return { "id": this.id,
+             "text": this.text,
+             "showTime": this.showTime,
+             "elapsedTime": this.elapsedTime,
+             "keyCode": this.keyCode,
+             "releaseTime": naToNull(this.releaseTime),
+             "resumeCount": naToNull(this.resumeCount) };
+};
+
+Title.prototype.getState = function(){
+    return { "showTime": this.showTime,
+             "elapsedTime": this.elapsedTime,
+             "keyCode": this.keyCode,
+             "releaseTime": this.releaseTime,
+             "resumeCount": this.resumeCount };
+};
+
+Title.prototype.restoreState = function(state){
+    this.showTime = state["showTime"];
+    this.elapsedTime = state["elapsedTime"];
+    this.keyCode = state["keyCode"];
+    this.releaseTime = state["releaseTime"];
+    this.resumeCount = state["resumeCount"];
+};
+
+Title.prototype.getRows = function(participant, maxTags){
+    var timeInterval = Math.round((this.elapsedTime - this.showTime) * 1000) / 1000;
+    var row = [participant, this.id, null, null, this.elapsedTime, timeInterval];
+    if (this.experiment.timing === "performance"){ row.push(null, null); }
+    if (this.experiment.pacing === "timed"){ row.push(null); }
+    row.push(this.keyCode, truncateText(this.text, 40));
+    row = row.concat(getKeyReleaseColumns(this.elapsedTime, this.releaseTime));
+    row.push(0);
+    if (this.experiment.hasInterruptionColumn()){ row.push(this.experiment.getInterruptionTime(this.showTime, this.elapsedTime)); }
+    if (this.experiment.hasFullscreenColumn()){ row.push(this.experiment.getFullscreenState(this.elapsedTime)); }
+    for (var j=0; j<this.experiment.getRegionColumnCount(); j++){ row.push(null); }
+    row.push(null, null, null, null, null);
+    if (this.experiment.listAssignment === "latin-square"){ row.push(this.experiment.list); }
+    if (this.experiment.hasPracticeLoop()){ row.push(null); }
+    if (this.experiment.hasAttentionChecks()){ row.push(null); }
+    if (this.experiment.autosave !== "none"){ row.push(naToNull(this.resumeCount)); }
+    row.push(null, null, null, null, null); // display settings apply only to items
+    row.push(this.experiment.designFingerprint);
+    for (var i=0; i<maxTags; i++){ row.push(null); }
+    return [row];
+};
 
 /*
  * Creates a <div> object to show the experiment title and investigators' names
@@ -765,6 +1468,9 @@ function Instructions(id, text, experiment){
     this.showTime;
     this.elapsedTime;
     this.keyCode;
+    this.releaseTime = "NA"; // The time at which the key that ended the screen was released
+    this.practiceAttempt = "NA"; // For screens shown before a repeated practice block, the attempt that follows
+    this.resumeCount = "NA"; // The number of times the session had been resumed when this screen was shown
 }
 
 /*
@@ -776,6 +1482,7 @@ Instructions.prototype.show = function(frame, elapsedTime){
     this.frame.appendChild(this.html); // add to DOM
     this.html.style.display = "block"; // show it
     this.showTime = elapsedTime;
+    this.resumeCount = this.experiment.resumeCount;
 };
 
 /*
@@ -793,6 +1500,8 @@ Instructions.prototype.processKeydown = function(keyCode, elapsedTime, minTime){
             case 32: // space bar
                 this.elapsedTime = elapsedTime;
                 this.keyCode = "KBD:" + keyCode;
+                this.releaseTime = "NA";
+                this.experiment.awaitKeyRelease(this);
                 this.hide();
                 result = "end of screen";
                 break;
@@ -819,6 +1528,17 @@ Instructions.prototype.processOptionButtonClick = function(elapsedTime, minTime,
     return "end of screen";
 };
 
+Instructions.prototype.processTouch = function(elapsedTime, minTime, elId, x, y){
+    var result = "continue";
+    if (elapsedTime - this.showTime > minTime){
+        this.elapsedTime = elapsedTime;
+        this.keyCode = "TOUCH:" + x + ";" + y;
+        this.hide();
+        result = "end of screen";
+    }
+    return result;
+};
+
 /*
  * Creates a <div> object to show the instructions
  * @returns a <div> object containing the instructions screen info
@@ -830,32 +1550,272 @@ Instructions.prototype.createHtml = function(){
     return instructionsDiv;
 };
 
-Instructions.prototype.getData = function(participant, maxTags){
-    var lhq = "\"";
-    var rhq = "\"";
-    if (this.experiment.quoteMark === 'single_quote') {
-        lhq = "\'";
-        rhq = "\'";
-    } else if (this.experiment.quoteMark === 'curly_brackets') {
-        lhq = "{";
-        rhq = "}";
-    }
-    var timeInterval = this.elapsedTime - this.showTime;
-    var result = lhq + participant + rhq + "," + lhq + this.id + rhq + ",NA,NA," + this.elapsedTime + "," + timeInterval + "," + lhq + this.keyCode + rhq + "," + lhq + truncateText(this.text, 20) + rhq + ",NA,NA";
-    for (var i=0; i<maxTags; i++){ result = result + ",NA"; }
-    result = result + "\n";
+Instructions.prototype.getJson = function(){
+    return { "id": this.id,
+             "text": this.text,
+             "practiceAttempt": naToNull(this.practiceAttempt),
+             "showTime": this.showTime,
+             "elapsedTime": this.elapsedTime,
+             "keyCode": this.keyCode,
+             "releaseTime": naToNull(this.releaseTime),
+             "resumeCount": naToNull(this.resumeCount) };
+};
+
+Instructions.prototype.getState = function(){
+    return { "showTime": this.showTime,
+             "elapsedTime": this.elapsedTime,
+             "keyCode": this.keyCode,
+             "releaseTime": this.releaseTime,
+             "practiceAttempt": this.practiceAttempt,
+             "resumeCount": this.resumeCount };
+};
+
+Instructions.prototype.restoreState = function(state){
+    this.showTime = state["showTime"];
+    this.elapsedTime = state["elapsedTime"];
+    this.keyCode = state["keyCode"];
+    this.releaseTime = state["releaseTime"];
+    this.practiceAttempt = state["practiceAttempt"];
+    this.resumeCount = state["resumeCount"];
+};
+
+Instructions.prototype.getRows = function(participant, maxTags){
+    var timeInterval = Math.round((this.elapsedTime - this.showTime) * 1000) / 1000;
+    var row = [participant, this.id, null, null, this.elapsedTime, timeInterval];
+    if (this.experiment.timing === "performance"){ row.push(null, null); }
+    if (this.experiment.pacing === "timed"){ row.push(null); }
+    row.push(this.keyCode, truncateText(this.text, 20));
+    row = row.concat(getKeyReleaseColumns(this.elapsedTime, this.releaseTime));
+    row.push(0);
+    if (this.experiment.hasInterruptionColumn()){ row.push(this.experiment.getInterruptionTime(this.showTime, this.elapsedTime)); }
+    if (this.experiment.hasFullscreenColumn()){ row.push(this.experiment.getFullscreenState(this.elapsedTime)); }
+    for (var j=0; j<this.experiment.getRegionColumnCount(); j++){ row.push(null); }
+    row.push(null, null, null, null, null);
+    if (this.experiment.listAssignment === "latin-square"){ row.push(this.experiment.list); }
+    if (this.experiment.hasPracticeLoop()){ row.push(naToNull(this.practiceAttempt)); }
+    if (this.experiment.hasAttentionChecks()){ row.push(null); }
+    if (this.experiment.autosave !== "none"){ row.push(naToNull(this.resumeCount)); }
+    row.push(null, null, null, null, null); // display settings apply only to items
+    row.push(this.experiment.designFingerprint);
+    for (var i=0; i<maxTags; i++){ row.push(null); }
+    return [row];
+};
+
+/*
+ * The Break object defines a rest screen between blocks of experimental items.
+ * A countdown shows how long until the participant may continue and, with
+ * auto-resume, until the experiment continues by itself.
+ * @param text - The break message (with html allowed)
+ * @param minDuration - The time (in ms) before the participant may continue
+ * @param maxDuration - With autoResume, the time (in ms) after which the break ends
+ * @param autoResume - true to end the break automatically after maxDuration
+ */
+function Break(id, text, minDuration, maxDuration, autoResume, experiment){
+    this.id = id;
+    this.text = text;
+    this.minDuration = minDuration;
+    this.maxDuration = maxDuration;
+    this.autoResume = autoResume;
+    this.experiment = experiment;
+    this.countdown; // The <p> element showing the countdown
+    this.html = this.createHtml();
+    this.frame = undefined;
+    this.showTime;
+    this.elapsedTime;
+    this.keyCode;
+    this.releaseTime = "NA"; // The time at which the key that ended the screen was released
+    this.resumeCount = "NA"; // The number of times the session had been resumed when this screen was shown
+    this.countdownTimer; // The interval that updates the countdown
+    this.resumeTimer;    // With autoResume, the PausableTimer that ends the break
+}
+
+Break.prototype.show = function(frame, elapsedTime){
+    var self = this;
+    this.frame = frame;
+    this.frame.appendChild(this.html); // add to DOM
+    this.html.style.display = "block"; // show it
+    this.showTime = elapsedTime;
+    this.resumeCount = this.experiment.resumeCount;
+    if (this.autoResume){
+        this.resumeTimer = new PausableTimer(function(){
+            var elapsedTime = self.experiment.getElapsedTime();
+            self.end(elapsedTime, "TIMER");
+            self.experiment.processResult("end of screen", elapsedTime);
+        }, this.maxDuration);
+    }
+    this.updateCountdown();
+    this.countdownTimer = setInterval(function(){ self.updateCountdown(); }, 200);
+};
+
+Break.prototype.hide = function(){
+    clearInterval(this.countdownTimer);
+    stopTimer(this.resumeTimer);
+    this.html.style.display = "none";  // hide it
+    this.frame.removeChild(this.html); // remove from DOM
+};
+
+/*
+ * Stops the automatic end of the break while the experiment is paused (see
+ * Experiment.startInterruption()), and restarts it with the time it had left
+ */
+Break.prototype.pause = function(elapsedTime){
+    pauseTimer(this.resumeTimer);
+};
+
+Break.prototype.resume = function(elapsedTime){
+    resumeTimer(this.resumeTimer);
+};
+
+/*
+ * Records the end of the break and hides it
+ * @param keyCode - The input that ended the break (TIMER if it ended by itself)
+ * @returns "end of screen"
+ */
+Break.prototype.end = function(elapsedTime, keyCode){
+    this.elapsedTime = elapsedTime;
+    this.keyCode = keyCode;
+    this.hide();
+    return "end of screen";
+};
+
+/*
+ * Shows the time left until the participant may continue or, once they may,
+ * how to continue (and the time left until the break ends by itself)
+ */
+Break.prototype.updateCountdown = function(){
+    var elapsed = this.experiment.getElapsedTime() - this.showTime;
+    var text;
+    if (elapsed < this.minDuration){
+        text = "You can continue in " + Math.ceil((this.minDuration - elapsed) / 1000) + " s.";
+    } else {
+        if (this.experiment.inputMethod === "html-button"){
+            text = "Click the button to continue.";
+        } else if (this.experiment.inputMethod === "touchscreen"){
+            text = "Tap the screen to continue.";
+        } else {
+            text = "Press the space bar to continue.";
+        }
+        if (this.autoResume){
+            text += " The experiment will continue automatically in " + Math.ceil(this.resumeTimer.getRemaining() / 1000) + " s.";
+        }
+    }
+    this.countdown.textContent = text;
+};
+
+Break.prototype.processKeydown = function(keyCode, elapsedTime, minTime){
+    var result = "continue";
+    if (elapsedTime - this.showTime >= this.minDuration){
+        switch (keyCode){
+            case 32: // space bar
+                this.releaseTime = "NA";
+                result = this.end(elapsedTime, "KBD:" + keyCode);
+                this.experiment.awaitKeyRelease(this);
+                break;
+            default:
+                // Pressed other key -- do nothing
+        }
+    }
+    return result;
+};
+
+Break.prototype.processNextButtonClick = function(elapsedTime, minTime){
+    var result = "continue";
+    if (elapsedTime - this.showTime >= this.minDuration){
+        result = this.end(elapsedTime, "NEXT_BTN");
+    }
+    return result;
+};
+
+Break.prototype.processOptionButtonClick = function(elapsedTime, minTime, id, parentId){
+    // Should never reach this function. Return "end of screen" in order to avoid infinite loop.
+    return "end of screen";
+};
+
+Break.prototype.processTouch = function(elapsedTime, minTime, elId, x, y){
+    var result = "continue";
+    if (elapsedTime - this.showTime >= this.minDuration){
+        result = this.end(elapsedTime, "TOUCH:" + x + ";" + y);
+    }
     return result;
 };
 
+/*
+ * Creates a <div> object to show the break message and countdown
+ * @returns a <div> object containing the break screen info
+ */
+Break.prototype.createHtml = function(){
+    var breakDiv = document.createElement("div");
+    breakDiv.className = "break";
+    var message = document.createElement("div");
+    message.className = "breakMessage";
+    message.innerHTML = this.text;
+    breakDiv.appendChild(message);
+    this.countdown = document.createElement("p");
+    this.countdown.className = "breakCountdown";
+    breakDiv.appendChild(this.countdown);
+    return breakDiv;
+};
+
+Break.prototype.getJson = function(){
+    return { "id": this.id,
+             "text": this.text,
+             "showTime": this.showTime,
+             "elapsedTime": this.elapsedTime,
+             "keyCode": this.keyCode,
+             "releaseTime": naToNull(this.releaseTime),
+             "resumeCount": naToNull(this.resumeCount) };
+};
+
+Break.prototype.getState = function(){
+    return { "showTime": this.showTime,
+             "elapsedTime": this.elapsedTime,
+             "keyCode": this.keyCode,
+             "releaseTime": this.releaseTime,
+             "resumeCount": this.resumeCount };
+};
+
+Break.prototype.restoreState = function(state){
+    this.showTime = state["showTime"];
+    this.elapsedTime = state["elapsedTime"];
+    this.keyCode = state["keyCode"];
+    this.releaseTime = state["releaseTime"];
+    this.resumeCount = state["resumeCount"];
+};
+
+/*
+ * Gets the output row for this break, whose timeInterval is the length of the break
+ */
+Break.prototype.getRows = function(participant, maxTags){
+    var timeInterval = Math.round((this.elapsedTime - this.showTime) * 1000) / 1000;
+    var row = [participant, this.id, null, null, this.elapsedTime, timeInterval];
+    if (this.experiment.timing === "performance"){ row.push(null, null); }
+    if (this.experiment.pacing === "timed"){ row.push(null); }
+    row.push(this.keyCode, truncateText(this.text, 20));
+    row = row.concat(getKeyReleaseColumns(this.elapsedTime, this.releaseTime));
+    row.push(0);
+    if (this.experiment.hasInterruptionColumn()){ row.push(this.experiment.getInterruptionTime(this.showTime, this.elapsedTime)); }
+    if (this.experiment.hasFullscreenColumn()){ row.push(this.experiment.getFullscreenState(this.elapsedTime)); }
+    for (var j=0; j<this.experiment.getRegionColumnCount(); j++){ row.push(null); }
+    row.push(null, null, null, null, null);
+    if (this.experiment.listAssignment === "latin-square"){ row.push(this.experiment.list); }
+    if (this.experiment.hasPracticeLoop()){ row.push(null); }
+    if (this.experiment.hasAttentionChecks()){ row.push(null); }
+    if (this.experiment.autosave !== "none"){ row.push(naToNull(this.resumeCount)); }
+    row.push(null, null, null, null, null); // display settings apply only to items
+    row.push(this.experiment.designFingerprint);
+    for (var i=0; i<maxTags; i++){ row.push(null); }
+    return [row];
+};
+
 /*
  * The Screen object corresponds to one screen in the experimental process,
- * including a title screen, an instructions screen or a stimulus item screen.
- * Screen objects constitute the basic sequence of the experiment.
- * @param type - The type of screen: Title, Instructions, or Item
+ * including a title screen, an instructions screen, a stimulus item screen or
+ * a break screen. Screen objects constitute the basic sequence of the experiment.
+ * @param type - The type of screen: Title, Instructions, Item or Break
  * @param object - The object with information related to the screen
  */
 function Screen(type, object){
-    this.type = type; // possible values: title, instructions, item
+    this.type = type; // possible values: title, instructions, stimuli, break
     this.object = object;
 }
 
@@ -871,8 +1831,127 @@ Screen.prototype.processOptionButtonClick = function(elapsedTime, minTime, elId,
     return this.object.processOptionButtonClick(elapsedTime, minTime, elId, parentId);
 };
 
-Screen.prototype.getData = function(participant, maxTags){
-    return this.object.getData(participant, maxTags);
+Screen.prototype.processTouch = function(elapsedTime, minTime, elId, x, y){
+    return this.object.processTouch(elapsedTime, minTime, elId, x, y);
+};
+
+Screen.prototype.getRows = function(participant, maxTags){
+    return this.object.getRows(participant, maxTags);
+};
+
+Screen.prototype.getState = function(){
+    return { "type": this.type, "id": this.object.id, "state": this.object.getState() };
+};
+
+Screen.prototype.restoreState = function(state){
+    this.object.restoreState(state["state"]);
+};
+
+Screen.prototype.getJson = function(){
+    var result = this.object.getJson();
+    result["type"] = this.type;
+    return result;
+};
+
+/*
+ * The DataSerializer object writes the rows of experimental results as
+ * delimited text. With the default settings, the output is CSV as described
+ * in RFC 4180: text values are quoted and quote marks inside them are doubled,
+ * so that commas, quotes and line breaks in stimuli or responses are safe.
+ * @param format - "csv" (comma-separated) or "tsv" (tab-separated)
+ * @param quoteMark - The character used to quote text values: " or '
+ * @param naToken - The string written for missing values
+ * @param lineEnding - The string written at the end of each row
+ */
+function DataSerializer(format, quoteMark, naToken, lineEnding){
+    this.delimiter = format === "tsv" ? "\t" : ",";
+    this.quoteMark = quoteMark;
+    this.naToken = naToken;
+    this.lineEnding = lineEnding;
+}
+
+/*
+ * Formats one value: null and undefined become the NA token, numbers are
+ * written as they are and everything else is written as quoted text.
+ */
+DataSerializer.prototype.formatValue = function(value){
+    if (value === null || typeof value === 'undefined'){
+        return this.naToken;
+    } else if (typeof value === 'number'){
+        return isFinite(value) ? String(value) : this.naToken;
+    }
+    var text = String(value).split(this.quoteMark).join(this.quoteMark + this.quoteMark);
+    return this.quoteMark + text + this.quoteMark;
+};
+
+DataSerializer.prototype.formatRow = function(row){
+    var cells = [];
+    for (var i=0; i<row.length; i++){
+        cells.push(this.formatValue(row[i]));
+    }
+    return cells.join(this.delimiter) + this.lineEnding;
+};
+
+/*
+ * @param rows - An array of rows (arrays of values), starting with the header
+ * @returns The delimited text
+ */
+DataSerializer.prototype.serialize = function(rows){
+    var result = "";
+    for (var i=0; i<rows.length; i++){
+        result = result + this.formatRow(rows[i]);
+    }
+    return result;
+};
+
+/*
+ * The PausableTimer object is a timeout that can be suspended while the
+ * experiment is paused and restarted later with the time it had left.
+ * The timer starts when it is created.
+ * @param callback - The function to call once the time is up
+ * @param delay - The time (in ms) until the callback is called
+ */
+function PausableTimer(callback, delay){
+    this.callback = callback;
+    this.remaining = delay; // The time left while the timer is paused
+    this.due;               // The time (from Date.now()) at which the callback is due while the timer runs
+    this.timeout;           // The setTimeout handle while the timer runs
+    this.state = "paused";  // "running", "paused" or "stopped" (once the callback has been called or the timer is stopped)
+    this.resume();
+}
+
+PausableTimer.prototype.resume = function(){
+    var self = this;
+    if (this.state !== "paused"){
+        return;
+    }
+    this.state = "running";
+    this.due = Date.now() + this.remaining;
+    this.timeout = setTimeout(function(){
+        self.state = "stopped";
+        self.callback();
+    }, this.remaining);
+};
+
+PausableTimer.prototype.pause = function(){
+    if (this.state !== "running"){
+        return;
+    }
+    clearTimeout(this.timeout);
+    this.remaining = Math.max(0, this.due - Date.now());
+    this.state = "paused";
+};
+
+PausableTimer.prototype.stop = function(){
+    clearTimeout(this.timeout);
+    this.state = "stopped";
+};
+
+/*
+ * @returns The time (in ms) until the callback is due
+ */
+PausableTimer.prototype.getRemaining = function(){
+    return this.state === "running" ? Math.max(0, this.due - Date.now()) : this.state === "paused" ? this.remaining : 0;
 };
 
 /*
@@ -881,10 +1960,15 @@ Screen.prototype.getData = function(participant, maxTags){
  * object in the SPR architecture.
  * @param design - A json-formatted object containing the experimental design
  * @param form - the html <form> object that will handle the data values on submit
+ * @param participantId - An optional identifier for the participant (used when
+ * the "participant-id" setting is "constructor")
+ * @param listIndex - An optional (1-based) list number for latin-square list
+ * assignment (used when the "list-source" setting is "constructor")
  */
-function Experiment(design, form){
+function Experiment(design, form, participantId, listIndex){
     // For binding 'this' inside listeners <- but isn't this making "self" a global? Risky?
     var self = this;
+    this.log = "";  // For keeping track of messages sent to jesprLog();
     // General experiment settings and parameters
     this.title = typeof design["title"] !== 'undefined' ? jesprTrim(design["title"]) : "A Self-paced Reading Experiment";
     this.fontname = typeof design["font-name"] !== 'undefined' ? jesprTrim(design["font-name"]) : "Courier new";
@@ -895,96 +1979,319 @@ function Experiment(design, form){
     this.textcolor = isValidColor(this.textcolor) ? this.textcolor : "black";
     this.backgroundcolor = typeof design["background-color"] !== 'undefined' ? jesprTrim(design["background-color"]) : "white";
     this.backgroundcolor = isValidColor(this.backgroundcolor) ? this.backgroundcolor : "white";
-    this.display = this.getStringSetting("display", design["display"], ["moving window","cumulative"], "moving window");
+    this.display = this.getStringSetting("display", design["display"], ["moving window","cumulative","centered"], "moving window");
     this.orientation = this.getStringSetting("orientation", design["orientation"], ["horizontal","vertical"], "horizontal");
     // Following must be only one character in length
     this.fixationchar = typeof design["fixation-character"] !== 'undefined' ? jesprTrim(design["fixation-character"]).substr(0,1) : "+";
     this.maskchar = typeof design["masking-character"] !== 'undefined' ? jesprTrim(design["masking-character"]).substr(0,1) : "_";
     this.minInstructionTime = typeof design["min-instruction-time"] !== 'undefined' ? design["min-instruction-time"] : 3000;
+    // Break screens among the experiment-stimuli, after every break-interval items ("every-n-items") or
+    // where the stimuli-set changes ("between-sets"). The participant may continue after break-min-duration
+    // ms; with break-auto-resume, the break ends by itself after break-max-duration ms.
+    this.breaks = this.getStringSetting("breaks", design["breaks"], ["none","every-n-items","between-sets"], "none");
+    this.breakInterval = typeof design["break-interval"] !== 'undefined' ? Number(design["break-interval"]) : 20;
+    this.breakMessage = typeof design["break-message"] !== 'undefined' ? design["break-message"] : "<p>Time for a short break.</p>";
+    this.breakMinDuration = typeof design["break-min-duration"] !== 'undefined' ? Number(design["break-min-duration"]) : 0;
+    this.breakMaxDuration = typeof design["break-max-duration"] !== 'undefined' ? Number(design["break-max-duration"]) : this.breakMinDuration;
+    this.breakAutoResume = isTrue(design["break-auto-resume"]);
     this.idList = []; // Used during validation to ensure that all IDs are unique
     this.showProgressBar = typeof design["show-progress-bar"] !== 'undefined' ? design["show-progress-bar"] : false;
     this.inputMethod = typeof design["input-method"] !== 'undefined' ? design["input-method"] : "keyboard";
-    this.quoteMark = typeof design["quote-mark"] !== 'undefined' ? design["quote-mark"] : "double_quote";
+    // Results output: "csv", "tsv" or "json" (see getJsonData), the quote mark for text values ("double_quote" or "single_quote"),
+    // the token for missing values and the line ending ("lf" or "crlf")
+    this.outputFormat = this.getStringSetting("output-format", design["output-format"], ["csv","tsv","json"], "csv");
+    this.quoteMark = this.getStringSetting("quote-mark", design["quote-mark"], ["double_quote","single_quote","curly_brackets"], "double_quote");
+    if (this.quoteMark === "curly_brackets"){
+        // Braces cannot be escaped inside a value, so this setting is no longer supported
+        this.jesprLog("The 'curly_brackets' quote-mark cannot be escaped. Using 'double_quote' instead.");
+        this.quoteMark = "double_quote";
+    }
+    this.naToken = typeof design["na-token"] !== 'undefined' ? String(design["na-token"]) : "NA";
+    this.lineEnding = this.getStringSetting("line-ending", design["line-ending"], ["lf","crlf"], "lf");
+    this.serializer = new DataSerializer(this.outputFormat, this.quoteMark === "single_quote" ? "'" : "\"", this.naToken, this.lineEnding === "crlf" ? "\r\n" : "\n");
     this.optionOrder = typeof design["option-order"] !== 'undefined' ? design["option-order"] : "random";
+    // "self-paced" or "timed" (i.e., RSVP): with timed pacing, each region is shown for
+    // region-duration + character-duration x (number of characters) ms, with an optional blank in between
+    this.pacing = this.getStringSetting("pacing", design["pacing"], ["self-paced","timed"], "self-paced");
+    this.characterDuration = typeof design["character-duration"] !== 'undefined' ? Number(design["character-duration"]) : 0;
+    this.regionDuration = typeof design["region-duration"] !== 'undefined' ? Number(design["region-duration"]) : (this.characterDuration > 0 ? 0 : 500);
+    this.blankDuration = typeof design["blank-duration"] !== 'undefined' ? Number(design["blank-duration"]) : 0;
+    // Optional deadlines (in ms, or "none") for reading each region (self-paced) and for answering the
+    // prompt. When one expires, the timeout-message is shown for timeout-message-duration ms and the item
+    // goes on to the next region or prompt ("advance") or ends ("abort"). A prompt timeout always ends the item.
+    this.regionDeadline = parseDeadline(design["region-deadline"]);
+    this.promptDeadline = parseDeadline(design["prompt-deadline"]);
+    this.timeoutMessage = typeof design["timeout-message"] !== 'undefined' ? design["timeout-message"] : "Too slow!";
+    this.timeoutMessageDuration = typeof design["timeout-message-duration"] !== 'undefined' ? Number(design["timeout-message-duration"]) : 1500;
+    this.timeoutAction = this.getStringSetting("timeout-action", design["timeout-action"], ["advance","abort"], "advance");
+    // Experiment-wide display settings and deadlines; these may be overridden per stimuli-set, group or item
+    this.itemSettings = { "display": this.display,
+                          "orientation": this.orientation,
+                          "masking-character": this.maskchar,
+                          "fixation-character": this.fixationchar,
+                          "option-order": this.optionOrder,
+                          "region-deadline": this.regionDeadline,
+                          "prompt-deadline": this.promptDeadline };
+    // "date" uses Date.now() (ms granularity); "performance" uses performance.now()
+    // and also records when each region was actually painted (onsetTime)
+    this.timing = this.getStringSetting("timing", design["timing"], ["date","performance"], "date");
+    if (this.timing === "performance" && !hasHighResolutionTiming()){
+        this.jesprLog("High-resolution timing is not supported by this browser. Using 'date' timing instead.");
+        this.timing = "date";
+    }
     
     // Info about json object containing experimental design
     this.design = design; // json object containing the design, stimuli, etc.
     this.designValidated = false;    // Boolean to indicate whether design file has been validated
+    this.designFingerprint; // A hash of the validated design, which identifies the exact version of the stimuli and settings
+    this.resultsChecksum; // A hash of the results text, to detect accidental changes made to the results after the experiment
     this.feedbackOptions = this.parseFeedbackOptions(design["feedback-options"]);
     this.maxTags = 0; // The largest number of tags in any item; needed to ensure number of columns in data output
 
     // variables for experiment flow and execution
     this.form = form;
     this.frame = this.createFrame();
-    this.log = "";  // For keeping track of messages sent to jesprLog();
     this.screens = [];  // List of all screen divs in the experiment: title, instructions, stimulus items
     this.curScreenIndex;   // The index of the current screen in screenInfo array being displayed.
     this.startTime;     // The start time of the experiment. Timing results are relative to this.
+    this.startTimestamp; // The start time of the experiment as a Date.now() value (regardless of timing setting)
+    this.endTimestamp;   // The end time of the experiment as a Date.now() value
+    this.refreshRate;    // The measured refresh rate of the display (in Hz)
+    this.startMetadata;  // The browser and display information when the session began (see getBrowserMetadata)
     this.keystate = "up"; // for monitoring keyup/keydown and ensuring one-step-at-a-time process
+    this.pendingReleases = []; // Records of key presses (keyCode KBD:n) still waiting for their releaseTime
     this.nextButton; // when using html-button input-method, this is the button to use for advancing experiment
+    this.touchstate = "up"; // like keystate, but for touchstart/touchend when using touchscreen input-method
     this.participant;   // A string to identify the experimental participant, defaults to startTime
+    // Where the participant identifier comes from: "date" (start time), "url-parameter", "constructor" or "prompt"
+    this.participantIdSource = this.getStringSetting("participant-id", design["participant-id"], ["date","url-parameter","constructor","prompt"], "date");
+    this.participantIdParameter = typeof design["participant-id-parameter"] !== 'undefined' ? jesprTrim(design["participant-id-parameter"]) : "participant";
+    this.participantIdPattern = typeof design["participant-id-pattern"] !== 'undefined' ? design["participant-id-pattern"] : undefined;
+    this.participantIdPromptText = typeof design["participant-id-prompt"] !== 'undefined' ? design["participant-id-prompt"] : "Please enter your participant ID:";
+    this.hashParticipantId = design["hash-participant-id"] === true || design["hash-participant-id"] === "true";
+    this.participantIdSalt = typeof design["participant-id-salt"] !== 'undefined' ? design["participant-id-salt"] : "";
+    this.suppliedParticipantId = participantId; // The identifier passed to the constructor (if any)
+    // With "latin-square", each participant sees one condition of each numbered item
+    this.listAssignment = this.getStringSetting("list-assignment", design["list-assignment"], ["none","latin-square"], "none");
+    // Where the latin-square list number comes from: "round-robin" (rotates on each machine, starting at a
+    // random list), "url-parameter" or "constructor" (a server-side index, for balanced lists across machines)
+    this.listSource = this.getStringSetting("list-source", design["list-source"], ["round-robin","url-parameter","constructor"], "round-robin");
+    this.listParameter = typeof design["list-parameter"] !== 'undefined' ? jesprTrim(design["list-parameter"]) : "list";
+    this.suppliedListIndex = listIndex; // The list number passed to the constructor (if any)
+    this.nextListCounter; // The round-robin counter to store once a new session begins (see saveListCounter)
+    this.list = "NA"; // The (1-based) latin-square list assigned to this participant
+    this.listItemIds; // The IDs of the numbered items in the assigned list
     this.showResultsDisplay = typeof design["show-results-display"] !== 'undefined' ? design["show-results-display"] : false;
     this.showLogDisplay = typeof design["show-log-display"] !== 'undefined' ? design["show-log-display"] : false;
+    this.showCodebookDisplay = typeof design["show-codebook-display"] !== 'undefined' ? design["show-codebook-display"] : false;
+    this.showMetadataDisplay = typeof design["show-metadata-display"] !== 'undefined' ? design["show-metadata-display"] : false;
     this.callbackFunction; // An optional callback function to call when experiment ends
+    // An optional URL to which the results and log are POSTed (as JSON) when the experiment ends.
+    // Failed requests are retried after submission-retry-delay ms, doubling the delay each time.
+    this.dataEndpoint = typeof design["data-endpoint"] !== 'undefined' ? jesprTrim(design["data-endpoint"]) : undefined;
+    this.submissionRetries = typeof design["submission-retries"] !== 'undefined' ? Number(design["submission-retries"]) : 3;
+    this.submissionRetryDelay = typeof design["submission-retry-delay"] !== 'undefined' ? Number(design["submission-retry-delay"]) : 1000;
+    this.submitted = "NA"; // Whether the results reached the data-endpoint (NA without a data-endpoint)
+    this.pendingSubmission; // The final submission while it is being sent (see processPagehide)
+    // With "local-storage", the session is checkpointed after every screen so that it can be
+    // resumed after a crash or reload of the page
+    this.autosave = this.getStringSetting("autosave", design["autosave"], ["none","local-storage"], "none");
+    this.resumeCount = 0; // The number of times this session has been resumed from a checkpoint
+    // Optional region length, position and (with a lexicon) word frequency columns. The lexicon is
+    // an object of word: frequency pairs, or the URL of a JSON file with such an object.
+    this.lexicalAnnotations = isTrue(design["lexical-annotations"]);
+    this.lexiconSource = design["lexicon"];
+    this.lexicon; // The lexicon with lower-case words, once it has been loaded
+    this.lexiconFailed = false; // Whether the lexicon file could not be loaded (the experiment cannot begin then)
+    this.lexiconWait;   // The message shown while the experiment waits for the lexicon file to load
+    // Optional length-corrected (residual) reading time columns, from a per-participant fit of reading
+    // time to region length; residual-stimuli-sets limits the fit to the named sets (e.g., fillers).
+    // Not available with timed pacing, where the design sets how long each region is shown.
+    this.residualReadingTimes = isTrue(design["residual-reading-times"]);
+    this.residualStimuliSets = design["residual-stimuli-sets"];
+    this.residualModel; // The intercept and slope of the fit, once the experiment has ended
+    // Counts of scored responses (i.e., to prompts with an option marked "correct")
+    this.responseCounts = { "practice": { "correct": 0, "scored": 0 },
+                            "experiment": { "correct": 0, "scored": 0 } };
+    // With a practice-criterion (minimum proportion correct), the practice block is
+    // reshuffled and repeated until the criterion is met or max-practice-attempts is reached
+    this.practiceCriterion = typeof design["practice-criterion"] !== 'undefined' ? Number(design["practice-criterion"]) : undefined;
+    this.maxPracticeAttempts = typeof design["max-practice-attempts"] !== 'undefined' ? Number(design["max-practice-attempts"]) : 3;
+    this.practiceAttempt = 0; // The number of the current practice attempt
+    this.practicePassed = "NA"; // Whether the practice criterion was met (NA without a practice-criterion)
+    this.lastPracticeIndex; // The index in screens of the last item of the current practice attempt
+    // Items marked "attention-check" among the experiment-stimuli are tallied separately. If more than
+    // max-attention-check-failures of them are failed, the session ends after the failed item.
+    this.maxAttentionCheckFailures = typeof design["max-attention-check-failures"] !== 'undefined' ? Number(design["max-attention-check-failures"]) : undefined;
+    this.attentionCheckCount = 0; // The number of attention-check items in the experiment
+    this.attentionCheckCounts = { "passed": 0, "failed": 0 };
+    this.attentionCheckExclusion = false; // Whether the session was ended for failing too many attention checks
+    // When the page is hidden or loses focus, "pause" shows an overlay that must be clicked to
+    // continue, "log" only records the interruption and "none" (the default) ignores it
+    this.interruptionHandling = this.getStringSetting("interruption-handling", design["interruption-handling"], ["pause","log","none"], "none");
+    this.interruptionMessage = typeof design["interruption-message"] !== 'undefined' ? design["interruption-message"] : "The experiment has been paused. Click here to continue.";
+    this.interruptions = []; // The start, end, duration (in ms), cause and screen of each interruption
+    this.currentInterruption; // The interruption in progress (if any)
+    this.interruptionOverlay; // With "pause", the overlay shown during an interruption
+    // With "optional", the Enter key switches fullscreen on and off. With "required", the participant
+    // must enter fullscreen before the title screen, and leaving it pauses the experiment. Changes
+    // of fullscreen are only recorded if the design sets "fullscreen" (see hasFullscreenColumn).
+    this.fullscreen = this.getStringSetting("fullscreen", design["fullscreen"], ["off","optional","required"], "optional");
+    this.fullscreenMessage = typeof design["fullscreen-message"] !== 'undefined' ? design["fullscreen-message"] : "This experiment must be done in fullscreen mode. Click here to return to fullscreen.";
+    this.fullscreenChanges = []; // The time of each change into (true) or out of (false) fullscreen
 
     Experiment.prototype.processKeydown = function(e){
-        var elapsedTime = Date.now() - self.startTime;
-        if (this.keystate !== "down"){
-            this.keystate = "down";
+        var elapsedTime = self.getElapsedTime();
+        if (typeof self.interruptionOverlay !== 'undefined'){
+            return; // paused
+        }
+        if (self.keystate !== "down"){
+            self.keystate = "down";
             var keyCode = e.which || e.keyCode;
             var result = self.screens[self.curScreenIndex].processKeydown(keyCode, elapsedTime, self.minInstructionTime);
-            if (result === "end of screen"){
-                self.curScreenIndex++;
-                if (self.curScreenIndex < self.screens.length){
-                    self.screens[self.curScreenIndex].object.show(self.frame, elapsedTime);
-                    self.updateProgressBar();
-                    self.jesprLog("Starting screen: " + self.screens[self.curScreenIndex].object.id);
-                } else {
-                    self.endExperiment();
-                }
-            } else if (result === "continue"){
-                // Continue with the same screen; nothing else to do here
-            }
+            self.processResult(result, elapsedTime);
         }
     };
     
     Experiment.prototype.processKeyup = function(e){
-        this.keystate = "up";
+        var elapsedTime = self.getElapsedTime();
+        self.keystate = "up";
+        var keyCode = e.which || e.keyCode;
+        self.recordKeyRelease("KBD:" + keyCode, elapsedTime);
     };
     
     Experiment.prototype.processNextButtonClick = function(e){
-        var elapsedTime = Date.now() - self.startTime;
+        var elapsedTime = self.getElapsedTime();
         var result = self.screens[self.curScreenIndex].processNextButtonClick(elapsedTime, self.minInstructionTime);
-        if (result === "end of screen"){
-            self.curScreenIndex++;
-            if (self.curScreenIndex < self.screens.length){
-                self.screens[self.curScreenIndex].object.show(self.frame, elapsedTime);
-                self.updateProgressBar();
-                self.jesprLog("Starting screen: " + self.screens[self.curScreenIndex].object.id);
-            } else {
-                self.endExperiment();
-            }
-        } else if (result === "continue"){
-            // Continue with the same screen; nothing else to do here
-        }
+        self.processResult(result, elapsedTime);
     };
     
     Experiment.prototype.processOptionButtonClick = function(e){
-        var elapsedTime = Date.now() - self.startTime;
+        var elapsedTime = self.getElapsedTime();
         var elId = e.target.id;
         var parentId = e.target.id.slice(0, e.target.id.indexOf("_"));
         var result = self.screens[self.curScreenIndex].processOptionButtonClick(elapsedTime, self.minInstructionTime, elId, parentId);
-        if (result === "end of screen"){
-            self.curScreenIndex++;
-            if (self.curScreenIndex < self.screens.length){
-                self.screens[self.curScreenIndex].object.show(self.frame, elapsedTime);
-                self.updateProgressBar();
-                self.jesprLog("Starting screen: " + self.screens[self.curScreenIndex].object.id);
+        self.processResult(result, elapsedTime);
+    };
+
+    /*
+     * Calling preventDefault() on touchstart stops the browser from also
+     * firing the emulated mouse events (and click) for the same tap, so
+     * each tap is processed exactly once.
+     */
+    Experiment.prototype.processTouchstart = function(e){
+        var elapsedTime = self.getElapsedTime();
+        if (e.target.tagName === "INPUT"){
+            return; // let the browser focus the text input (and show the on-screen keyboard)
+        }
+        if (e.preventDefault) { e.preventDefault(); }
+        if (self.touchstate !== "down"){
+            self.touchstate = "down";
+            var touch = e.changedTouches[0];
+            var x = Math.round(touch.clientX);
+            var y = Math.round(touch.clientY);
+            var elId = e.target.id;
+            var result = self.screens[self.curScreenIndex].processTouch(elapsedTime, self.minInstructionTime, elId, x, y);
+            self.processResult(result, elapsedTime);
+        }
+    };
+
+    Experiment.prototype.processTouchend = function(e){
+        if (e.preventDefault) { e.preventDefault(); }
+        // Only release once all fingers have left the screen
+        if (e.touches.length === 0){
+            self.touchstate = "up";
+        }
+    };
+
+    /*
+     * If the page is closed or reloaded before the experiment ends, the data
+     * collected so far is sent to the data-endpoint (where supported), with
+     * the same JSON content type as the final submission. If it is closed
+     * while the final submission is still being sent (or retried), that
+     * submission is sent instead, so the endpoint may receive it twice.
+     * Browsers that don't allow that content type in a beacon get it as
+     * text/plain instead, and beacons over about 64 KB are refused, so long
+     * sessions may not get through.
+     */
+    Experiment.prototype.processPagehide = function(e){
+        if (navigator.sendBeacon){
+            var submission;
+            if (typeof self.pendingSubmission !== 'undefined'){
+                self.jesprLog("Page closed while the results were being sent. Sending them with a beacon.");
+                submission = self.pendingSubmission;
+            } else {
+                self.jesprLog("Page closed before the end of the experiment. Sending partial results.");
+                submission = self.getSubmission(false);
+            }
+            var sent;
+            try {
+                sent = navigator.sendBeacon(self.dataEndpoint, new Blob([submission], { "type": "application/json" }));
+            } catch (err) {
+                sent = navigator.sendBeacon(self.dataEndpoint, submission); // sent as text/plain
+            }
+            if (!sent){
+                self.jesprLog("The browser refused to send the partial results (" + submission.length + " characters)");
+            }
+        }
+    };
+
+    /*
+     * An interruption starts when the page is hidden (e.g., another tab is
+     * selected) or the window loses focus. With "pause", it ends when the
+     * pause overlay is clicked; with "log", when the page is back in focus.
+     */
+    Experiment.prototype.processVisibilitychange = function(e){
+        if (document.hidden){
+            self.startInterruption("hidden");
+        } else if (self.interruptionHandling === "log"){
+            self.resumeAfterInterruption();
+        }
+    };
+
+    /*
+     * With fullscreen "optional", Enter switches fullscreen on and off (except
+     * in a text prompt, where Enter submits the answer)
+     */
+    Experiment.prototype.processFullscreenToggle = function(e){
+        if (e.keyCode === 13 && e.target.tagName !== "INPUT"){
+            if (!isFullscreen()){
+                requestFullscreen();
             } else {
-                self.endExperiment();
+                exitFullscreen();
+            }
+        }
+    };
+
+    /*
+     * Records every change into or out of fullscreen. With fullscreen
+     * "required", leaving fullscreen interrupts the experiment until the
+     * participant returns to fullscreen.
+     */
+    Experiment.prototype.processFullscreenchange = function(e){
+        var fullscreen = isFullscreen();
+        var last = self.fullscreenChanges[self.fullscreenChanges.length-1];
+        if (typeof last !== 'undefined' && last["fullscreen"] === fullscreen){
+            return; // The same change reported by a prefixed event
+        }
+        self.fullscreenChanges.push({ "time": self.getElapsedTime(), "fullscreen": fullscreen });
+        self.jesprLog(fullscreen ? "Entered fullscreen" : "Exited fullscreen");
+        if (self.fullscreen === "required"){
+            if (!fullscreen){
+                self.startInterruption("fullscreen");
+            } else if (typeof self.currentInterruption !== 'undefined' && self.currentInterruption["cause"] === "fullscreen"){
+                self.endInterruption();
             }
-        } else if (result === "continue"){
-            // Continue with the same screen; nothing else to do here
+        }
+    };
+
+    Experiment.prototype.processBlur = function(e){
+        self.startInterruption("blur");
+    };
+
+    Experiment.prototype.processFocus = function(e){
+        if (self.interruptionHandling === "log"){
+            self.resumeAfterInterruption();
         }
     };
 
@@ -997,10 +2304,106 @@ function Experiment(design, form){
     };
 }
 
+/*
+ * Moves on to the next screen (or ends the experiment) if the current screen
+ * has ended. This is called after each input event, and also by items whose
+ * regions are timed.
+ * @param result - "end of screen" or "continue" as returned by the screen
+ * @param elapsedTime - The time at which the current screen ended
+ */
+Experiment.prototype.processResult = function(result, elapsedTime){
+    if (result === "end of screen"){
+        if (this.curScreenIndex === this.lastPracticeIndex && !this.endPracticeAttempt()){
+            this.endExperiment(); // Out of practice attempts
+            return;
+        }
+        if (this.attentionCheckExclusion){
+            this.endExperiment(); // Too many failed attention checks
+            return;
+        }
+        this.curScreenIndex++;
+        if (this.curScreenIndex < this.screens.length){
+            this.screens[this.curScreenIndex].object.show(this.frame, elapsedTime);
+            this.updateProgressBar();
+            this.jesprLog("Starting screen: " + this.screens[this.curScreenIndex].object.id);
+            this.saveCheckpoint();
+        } else {
+            this.endExperiment();
+        }
+    } else if (result === "continue"){
+        // Continue with the same screen; nothing else to do here
+    }
+};
+
 Experiment.prototype.startExperiment = function(callback){
-    this.startTime = Date.now();
-    this.participant = this.setParticipant();
     this.callbackFunction = callback;
+    var checkpoint = this.autosave === "local-storage" ? this.loadCheckpoint() : undefined;
+    if (typeof checkpoint !== 'undefined' && this.participantIdSource === "prompt"){
+        // The entered ID decides whether the interrupted session is this participant's
+        this.showParticipantIdPrompt(checkpoint);
+        return;
+    }
+    if (typeof checkpoint !== 'undefined' && this.participantIdSource !== "date"){
+        this.participant = this.setParticipant();
+    }
+    if (typeof checkpoint !== 'undefined' && this.isOwnCheckpoint(checkpoint)){
+        // The participant chooses whether to resume the interrupted session
+        this.showResumePrompt(checkpoint);
+    } else {
+        this.startNewSession();
+    }
+};
+
+/*
+ * Identifies the participant (unless that has been done already) and begins
+ * the experiment from the first screen
+ */
+Experiment.prototype.startNewSession = function(){
+    if (typeof this.participant !== 'undefined'){
+        this.beginExperiment();
+    } else if (this.participantIdSource === "prompt"){
+        // The experiment begins once a valid identifier has been entered
+        this.showParticipantIdPrompt();
+    } else {
+        this.participant = this.setParticipant();
+        this.beginExperiment();
+    }
+};
+
+/*
+ * Attaches the input listeners and shows the first screen. Called by
+ * startExperiment(), or after the participant ID prompt has been completed.
+ * When a session is resumed, the start time and current screen have already
+ * been restored from the checkpoint. If the lexicon file is still loading, a
+ * message is shown and the experiment begins once it has loaded.
+ */
+Experiment.prototype.beginExperiment = function(){
+    var resumed = typeof this.startTimestamp !== 'undefined';
+    if (typeof this.lexiconSource !== 'undefined' && typeof this.lexicon === 'undefined'){
+        if (!this.lexiconFailed && typeof this.lexiconWait === 'undefined'){
+            this.lexiconWait = document.createElement("p");
+            this.lexiconWait.className = "lexiconWait";
+            this.lexiconWait.textContent = "Loading, please wait...";
+            this.frame.appendChild(this.lexiconWait);
+            this.jesprLog("Waiting for the lexicon to load");
+        }
+        return; // loadLexicon() begins the experiment once the lexicon has loaded
+    }
+    if (this.fullscreen === "required" && !isFullscreen()){
+        if (isFullscreenSupported()){
+            this.showFullscreenPrompt(); // The experiment begins once in fullscreen
+            return;
+        }
+        this.jesprLog("Fullscreen is not supported by this browser. Continuing without fullscreen.");
+    }
+    if (!resumed){
+        this.startTimestamp = Date.now();
+        this.curScreenIndex = 0;
+        this.saveListCounter();
+    }
+    // Elapsed times continue from the original start of the session (even across a reload)
+    this.startTime = this.now() - (Date.now() - this.startTimestamp);
+    this.startMetadata = this.getBrowserMetadata();
     if (this.inputMethod === "keyboard"){
         if (document.body.addEventListener) {
             document.body.addEventListener("keydown", this.processKeydown);
@@ -1023,88 +2426,51 @@ Experiment.prototype.startExperiment = function(callback){
         document.body.appendChild(this.nextButton);
         this.nextButton.focus();
     } else if (this.inputMethod === "touchscreen") {
-        // Not currently implemented
+        if (this.frame.addEventListener) {
+            this.frame.addEventListener("touchstart", this.processTouchstart, false);
+            this.frame.addEventListener("touchend", this.processTouchend, false);
+            this.frame.addEventListener("touchcancel", this.processTouchend, false);
+        }
     }
     if (window.addEventListener){
         window.addEventListener("resize", this.processWindowResize);
     } else if (window.attachEvent) {
         window.attachEvent("onresize", this.processWindowResize);
     }
-    this.curScreenIndex = 0;
+    if (typeof this.dataEndpoint !== 'undefined' && window.addEventListener){
+        window.addEventListener("pagehide", this.processPagehide);
+    }
+    if (this.interruptionHandling !== "none"){
+        if (window.addEventListener){
+            document.addEventListener("visibilitychange", this.processVisibilitychange);
+            window.addEventListener("blur", this.processBlur);
+            window.addEventListener("focus", this.processFocus);
+        } else if (window.attachEvent) { // For IE<9 (which has no visibilitychange event)
+            window.attachEvent("onblur", this.processBlur);
+            window.attachEvent("onfocus", this.processFocus);
+        }
+    }
+    if (this.hasFullscreenColumn()){
+        setFullscreenchangeListener(this.processFullscreenchange, true);
+        this.fullscreenChanges.push({ "time": this.getElapsedTime(), "fullscreen": isFullscreen() });
+    }
     this.updateProgressBar();
-    this.jesprLog("Starting JESP experiment: " + this.title);
-//    this.jesprLog("Starting JESPR experiment on " + navigator.userAgent);
+    this.jesprLog((resumed ? "Resuming JESP experiment: " : "Starting JESP experiment: ") + this.title);
+    this.jesprLog("Starting JESPR experiment on " + browser() + ": " + navigator.userAgent);
+    this.measureRefreshRate();
     this.jesprLog("Window size: height " + this.frame.offsetHeight + " x width " + this.frame.offsetWidth);
-    this.screens[this.curScreenIndex].object.show(this.frame, 0);
+    this.screens[this.curScreenIndex].object.show(this.frame, resumed ? this.getElapsedTime() : 0);
     this.jesprLog("Starting screen: " + this.screens[this.curScreenIndex].object.id);
+    this.saveCheckpoint();
     // prevent spacebar from engaging page scroll actions (default action in some browsers)
 //    window.onkeydown = function(e) {
 //        if (e.keyCode === 32 && e.target === document.body) {
 //            e.preventDefault();
 //        }
 //    };
-    document.addEventListener("keydown", function (e) {
-        if (e.keyCode === 13) {
-            if (!document.fullscreenElement &&
-                    !document.webkitFullscreenElement &&
-                    !document.msFullscreenElement &&
-                    !document.mozFullScreenElement) {
-                if (document.documentElement.requestFullscreen) {
-                    document.documentElement.requestFullscreen();
-                } else if (document.documentElement.webkitRequestFullscreen) {
-                    document.documentElement.webkitRequestFullscreen();
-                } else if (document.documentElement.msRequestFullscreen) {
-                    document.documentElement.msRequestFullscreen();
-                } else if (document.documentElement.mozRequestFullScreen) {
-                    document.documentElement.mozRequestFullScreen();
-                }
-            } else {
-                if (document.exitFullscreen) {
-                    document.exitFullscreen();
-                } else if (document.webkitExitFullscreen) {
-                    document.webkitExitFullscreen();
-                } else if (document.msExitFullscreen) {
-                    document.msExitFullscreen();
-                } else if (document.mozCancelFullScreen) {
-                    document.mozCancelFullScreen();
-                }
-            }
-//            if (browser() === "Firefox") {
-//                if (!document.mozFullscreenElement) {
-//                    document.documentElement.mozRequestFullscreen();
-//                } else if (document.mozCancelFullscreen) {
-//                    document.mozCancelFullscreen();
-//                }
-//            } else if (browser() === "IE") {
-////                if (document.msFullscreenEnabled){
-////                    alert("full screen enabled");
-////                } else {
-////                    alert("not full screen enabled");
-////                }
-////                if (!document.msFullscreenElement) { // This always returns true (even if fullscreen engaged (by F11)
-//                if (document.documentElement.msRequestFullscreen) { // This (always) returns true,
-//                    document.documentElement.msRequestFullscreen(); // But this doesn't seem to be working???
-//                } else if (document.msExitFullscreen) { // This always returns true, even when not in full-screen mode
-//                    document.msExitFullscreen();
-//                }
-//            } else if (browser() === "Chrome" ||
-//                       browser() === "Opera"   ||
-//                       browser() === "Edge"   ||
-//                       browser() === "Safari") {
-//                if (!document.webkitFullscreenElement) {
-//                    document.documentElement.webkitRequestFullscreen();
-//                } else if (document.webkitExitFullscreen) {
-//                    document.webkitExitFullscreen();
-//                }
-//            } else {
-//                if (!document.fullscreenElement) {
-//                    document.documentElement.requestFullscreen();
-//                } else if (document.exitFullscreen) {
-//                    document.exitFullscreen();
-//                }
-//            }
-        }
-    }, false);
+    if (this.fullscreen === "optional" && document.addEventListener){
+        document.addEventListener("keydown", this.processFullscreenToggle, false);
+    }
 };
 
 Experiment.prototype.endExperiment = function(){
@@ -1125,20 +2491,718 @@ Experiment.prototype.endExperiment = function(){
         this.nextButton.disabled = true;
         this.nextButton.style.visibility = "hidden";
     } else if (this.inputMethod === "touchscreen") {
-        // Not currently implemented
+        if (this.frame.removeEventListener) {
+            this.frame.removeEventListener("touchstart", this.processTouchstart, false);
+            this.frame.removeEventListener("touchend", this.processTouchend, false);
+            this.frame.removeEventListener("touchcancel", this.processTouchend, false);
+        }
     }
     if (window.removeEventListener) {
         window.removeEventListener("resize", this.processWindowResize);
     } else if (window.detachEvent) {
         window.detachEvent("onresize", this.processWindowResize);
     }
+    if (this.interruptionHandling !== "none"){
+        if (window.removeEventListener){
+            document.removeEventListener("visibilitychange", this.processVisibilitychange);
+            window.removeEventListener("blur", this.processBlur);
+            window.removeEventListener("focus", this.processFocus);
+        } else if (window.detachEvent) {
+            window.detachEvent("onblur", this.processBlur);
+            window.detachEvent("onfocus", this.processFocus);
+        }
+    }
+    if (this.fullscreen !== "off"){
+        if (this.fullscreen === "optional" && document.removeEventListener){
+            document.removeEventListener("keydown", this.processFullscreenToggle, false);
+        }
+        if (this.hasFullscreenColumn()){
+            setFullscreenchangeListener(this.processFullscreenchange, false);
+        }
+        if (this.fullscreen === "required" && isFullscreen()){
+            exitFullscreen(); // so that the participant can get on with the rest of the page
+        }
+    }
+    this.endInterruption();
     this.frame.style.display = "none";
     document.body.removeChild(this.frame);
+    this.clearCheckpoint();
+    this.endTimestamp = Date.now();
+    if (this.residualReadingTimes){
+        this.fitResidualModel();
+    }
+    if (this.hasInterruptionColumn()){
+        this.jesprLog("Interruptions: " + this.interruptions.length);
+    }
+    this.jesprLog("Accuracy: " + this.getAccuracy("experiment") + " (" + this.responseCounts["experiment"]["correct"] + " of " + this.responseCounts["experiment"]["scored"] + " correct)");
+    if (this.hasAttentionChecks()){
+        this.jesprLog("Attention checks: " + this.attentionCheckCounts["passed"] + " passed, " + this.attentionCheckCounts["failed"] + " failed (of " + this.attentionCheckCount + ")");
+    }
     this.createResults();
     this.createLog();
+    this.createCodebook();
+    this.createMetadata();
+    if (typeof this.dataEndpoint !== 'undefined'){
+        this.submitResults(); // Finishes once the results are sent (or all retries fail)
+    } else {
+        this.finishExperiment();
+    }
+};
+
+/*
+ * Records the start of an interruption (unless one is already in progress)
+ * and, with "pause", shows the pause overlay
+ * @param cause - "hidden" (the page was hidden), "blur" (the window lost focus)
+ * or "fullscreen" (the page left fullscreen, which always pauses)
+ */
+Experiment.prototype.startInterruption = function(cause){
+    var self = this;
+    if (typeof this.currentInterruption !== 'undefined'){
+        return;
+    }
+    var screenId = this.screens[this.curScreenIndex].object.id;
+    this.currentInterruption = { "start": this.getElapsedTime(),
+                                 "end": "NA",
+                                 "duration": "NA",
+                                 "cause": cause,
+                                 "screenId": screenId };
+    this.interruptions.push(this.currentInterruption);
+    this.jesprLog("Interruption (" + cause + ") during screen: " + screenId);
+    if (this.interruptionHandling === "pause" || cause === "fullscreen"){
+        // Timed regions and other timers of the screen wait until the pause ends
+        var screen = this.screens[this.curScreenIndex].object;
+        if (typeof screen.pause === 'function'){
+            screen.pause(this.currentInterruption["start"]);
+        }
+        this.interruptionOverlay = document.createElement("div");
+        this.interruptionOverlay.className = "interruptionOverlay";
+        var message = document.createElement("p");
+        message.textContent = cause === "fullscreen" ? this.fullscreenMessage : this.interruptionMessage;
+        this.interruptionOverlay.appendChild(message);
+        var resume = function(e){
+            if (cause === "fullscreen"){
+                requestFullscreen(); // The interruption ends once the page is back in fullscreen
+            } else {
+                self.resumeAfterInterruption();
+                window.focus();
+            }
+        };
+        if (this.interruptionOverlay.addEventListener) {
+            this.interruptionOverlay.addEventListener("click", resume);
+        } else if (this.interruptionOverlay.attachEvent) { // For IE<9
+            this.interruptionOverlay.attachEvent("onclick", resume);
+        }
+        document.body.appendChild(this.interruptionOverlay);
+    }
+};
+
+/*
+ * Records the end of the interruption in progress (if any), removes the
+ * pause overlay and restarts the timers of the screen
+ */
+Experiment.prototype.endInterruption = function(){
+    if (typeof this.currentInterruption === 'undefined'){
+        return;
+    }
+    var elapsedTime = this.getElapsedTime();
+    this.currentInterruption["end"] = elapsedTime;
+    this.currentInterruption["duration"] = Math.round((elapsedTime - this.currentInterruption["start"]) * 1000) / 1000;
+    this.jesprLog("Interruption ended after " + this.currentInterruption["duration"] + " ms");
+    this.currentInterruption = undefined;
+    if (typeof this.interruptionOverlay !== 'undefined'){
+        document.body.removeChild(this.interruptionOverlay);
+        this.interruptionOverlay = undefined;
+        if (this.curScreenIndex < this.screens.length && typeof this.screens[this.curScreenIndex].object.resume === 'function'){
+            this.screens[this.curScreenIndex].object.resume(elapsedTime);
+        }
+    }
+    // Keys and fingers released while the page was out of focus were missed
+    this.keystate = "up";
+    this.touchstate = "up";
+    this.saveCheckpoint();
+};
+
+/*
+ * Ends the interruption in progress, unless the page has also left
+ * fullscreen (when it's required) in the meantime, in which case the
+ * experiment stays paused until the participant returns to fullscreen
+ */
+Experiment.prototype.resumeAfterInterruption = function(){
+    this.endInterruption();
+    if (this.fullscreen === "required" && !isFullscreen() && isFullscreenSupported()){
+        this.startInterruption("fullscreen");
+    }
+};
+
+/*
+ * Shows a screen asking the participant to enter fullscreen, which must be
+ * done by clicking a button (browsers only allow fullscreen in response to
+ * user input). The experiment begins once the page is in fullscreen.
+ */
+Experiment.prototype.showFullscreenPrompt = function(){
+    var self = this;
+    var promptDiv = document.createElement("div");
+    promptDiv.className = "fullscreenPrompt";
+    var label = document.createElement("p");
+    label.textContent = "This experiment must be done in fullscreen mode.";
+    promptDiv.appendChild(label);
+    var fullscreenButton = document.createElement("button");
+    fullscreenButton.type = "button";
+    fullscreenButton.className = "fullscreenButton";
+    fullscreenButton.textContent = "Enter fullscreen";
+    promptDiv.appendChild(fullscreenButton);
+    var enter = function(e){
+        requestFullscreen();
+    };
+    var begin = function(e){
+        if (isFullscreen()){
+            setFullscreenchangeListener(begin, false);
+            fullscreenButton.removeEventListener("click", enter);
+            self.frame.removeChild(promptDiv);
+            self.jesprLog("Entered fullscreen");
+            self.beginExperiment();
+        }
+    };
+    fullscreenButton.addEventListener("click", enter);
+    setFullscreenchangeListener(begin, true);
+    this.frame.appendChild(promptDiv);
+};
+
+/*
+ * Gets the total time for which the experiment was interrupted in a period
+ * (e.g., while a region was showing)
+ * @param from - The start of the period
+ * @param to - The end of the period
+ * @returns The time in ms (0 if there was no interruption)
+ */
+Experiment.prototype.getInterruptionTime = function(from, to){
+    var total = 0;
+    for (var i=0; i<this.interruptions.length; i++){
+        var end = this.interruptions[i]["end"] === "NA" ? to : this.interruptions[i]["end"];
+        var overlap = Math.min(end, to) - Math.max(this.interruptions[i]["start"], from);
+        if (overlap > 0){
+            total += overlap;
+        }
+    }
+    return Math.round(total * 1000) / 1000;
+};
+
+/*
+ * @param time - An elapsed time
+ * @returns 1 if the page was in fullscreen at that time, 0 if not, or null
+ * if not known (i.e., before the experiment began)
+ */
+Experiment.prototype.getFullscreenState = function(time){
+    var result = null;
+    for (var i=0; i<this.fullscreenChanges.length && this.fullscreenChanges[i]["time"] <= time; i++){
+        result = this.fullscreenChanges[i]["fullscreen"] ? 1 : 0;
+    }
+    return result;
+};
+
+/*
+ * Returns the localStorage key of the autosave checkpoint for this experiment
+ */
+Experiment.prototype.getCheckpointKey = function(){
+    return "jespr.autosave." + this.title;
+};
+
+/*
+ * Saves the state of the session to localStorage: the participant, the
+ * (randomized) order of the screens, the data of every completed screen and
+ * the screen now showing, which is where a resumed session starts again.
+ */
+Experiment.prototype.saveCheckpoint = function(){
+    if (this.autosave !== "local-storage"){
+        return;
+    }
+    var screens = [];
+    for (var i=0; i<this.screens.length; i++){
+        screens.push(this.screens[i].getState());
+    }
+    var checkpoint = { "savedAt": Date.now(),
+                       "participant": this.participant,
+                       "designFingerprint": this.designFingerprint,
+                       "startTimestamp": this.startTimestamp,
+                       "list": this.list,
+                       "curScreenIndex": this.curScreenIndex,
+                       "resumeCount": this.resumeCount,
+                       "responseCounts": this.responseCounts,
+                       "practiceAttempt": this.practiceAttempt,
+                       "practicePassed": this.practicePassed,
+                       "lastPracticeIndex": this.lastPracticeIndex,
+                       "attentionCheckCounts": this.attentionCheckCounts,
+                       "interruptions": this.interruptions,
+                       "fullscreenChanges": this.fullscreenChanges,
+                       "log": this.log,
+                       "screens": screens };
+    try {
+        window.localStorage.setItem(this.getCheckpointKey(), JSON.stringify(checkpoint));
+    } catch (err) {
+        this.jesprLog("Could not save checkpoint to localStorage: " + err);
+    }
+};
+
+/*
+ * @returns The saved checkpoint of an unfinished session, or undefined if there is none
+ */
+Experiment.prototype.loadCheckpoint = function(){
+    var checkpoint;
+    try {
+        var saved = window.localStorage.getItem(this.getCheckpointKey());
+        if (saved !== null){
+            checkpoint = JSON.parse(saved);
+        }
+    } catch (err) {
+        this.jesprLog("Could not load checkpoint from localStorage: " + err);
+    }
+    return checkpoint;
+};
+
+Experiment.prototype.clearCheckpoint = function(){
+    if (this.autosave !== "local-storage"){
+        return;
+    }
+    try {
+        window.localStorage.removeItem(this.getCheckpointKey());
+    } catch (err) {
+        this.jesprLog("Could not remove checkpoint from localStorage: " + err);
+    }
+};
+
+/*
+ * Rebuilds the session from a checkpoint: the screens are put back in the
+ * saved order and the completed screens get back their data.
+ * @returns false if the checkpoint doesn't match the design
+ */
+Experiment.prototype.restoreCheckpoint = function(checkpoint){
+    if (this.listAssignment === "latin-square"){
+        this.list = checkpoint["list"];
+        this.listItemIds = this.getLatinSquareLists(this.design["experiment-stimuli"])[this.list - 1];
+    }
+    // Load a fresh set of screens and match them to the saved screens by ID.
+    // Repeated practice attempts need more practice screens than a fresh set has.
+    this.screens = [];
+    this.practiceAttempt = 0;
+    this.loadScreens();
+    var pool = this.screens;
+    var screens = [];
+    if (!(checkpoint["curScreenIndex"] < checkpoint["screens"].length)){
+        pool = []; // Nothing to resume
+    }
+    for (var i=0; i<checkpoint["screens"].length; i++){
+        var saved = checkpoint["screens"][i];
+        var screen;
+        for (var tries=0; tries<2 && typeof screen === 'undefined'; tries++){
+            for (var j=0; j<pool.length; j++){
+                if (pool[j].type === saved["type"] && pool[j].object.id === saved["id"]){
+                    screen = pool.splice(j, 1)[0];
+                    break;
+                }
+            }
+            if (typeof screen === 'undefined' && this.design["practice-stimuli"]){
+                pool = pool.concat(this.loadPracticeAttempt());
+            }
+        }
+        if (typeof screen === 'undefined'){
+            this.jesprLog("The checkpoint does not match the experiment design. Starting a new session.");
+            return false;
+        }
+        if (i < checkpoint["curScreenIndex"]){
+            screen.restoreState(saved);
+        } else if (screen.type === "instructions" || screen.type === "stimuli"){
+            // Screens still to come keep their new option order, but not their practice labels
+            screen.object.practiceAttempt = saved["state"]["practiceAttempt"];
+            if (screen.type === "stimuli"){ screen.object.isPractice = saved["state"]["isPractice"]; }
+        }
+        screens.push(screen);
+        screen = undefined;
+    }
+    this.screens = screens;
+    this.participant = checkpoint["participant"];
+    this.startTimestamp = checkpoint["startTimestamp"];
+    this.curScreenIndex = checkpoint["curScreenIndex"];
+    this.responseCounts = checkpoint["responseCounts"];
+    this.practiceAttempt = checkpoint["practiceAttempt"];
+    this.practicePassed = checkpoint["practicePassed"];
+    this.lastPracticeIndex = checkpoint["lastPracticeIndex"]; // (undefined values are not saved)
+    if (typeof checkpoint["attentionCheckCounts"] !== 'undefined'){
+        this.attentionCheckCounts = checkpoint["attentionCheckCounts"];
+    }
+    this.interruptions = typeof checkpoint["interruptions"] !== 'undefined' ? checkpoint["interruptions"] : [];
+    this.fullscreenChanges = typeof checkpoint["fullscreenChanges"] !== 'undefined' ? checkpoint["fullscreenChanges"] : [];
+    this.resumeCount = checkpoint["resumeCount"] + 1;
+    this.log = checkpoint["log"] + this.log;
+    this.jesprLog("Session interrupted after checkpoint saved at " + new Date(checkpoint["savedAt"]) + ". Resuming (resume " + this.resumeCount + ") at screen " + (this.curScreenIndex + 1) + " of " + this.screens.length);
+    if (this.screens[this.curScreenIndex].type === "stimuli"){
+        // The checkpoint was saved when the item was shown, so it restarts from the beginning
+        this.screens[this.curScreenIndex].object.markRestarted(checkpoint["savedAt"] - this.startTimestamp, Date.now() - this.startTimestamp);
+    }
+    return true;
+};
+
+/*
+ * Checks that a checkpoint was saved with this version of the design and (if
+ * the participant has been identified by ID rather than by date) by this
+ * participant, so that the next person on a shared machine isn't offered the
+ * session of the previous one
+ * @param checkpoint - The checkpoint saved by the interrupted session
+ * @returns true if the session can be resumed
+ */
+Experiment.prototype.isOwnCheckpoint = function(checkpoint){
+    if (checkpoint["designFingerprint"] !== this.designFingerprint){
+        this.jesprLog("Ignoring the checkpoint of an interrupted session saved with a different version of the design.");
+        return false;
+    }
+    if (this.participantIdSource !== "date" && checkpoint["participant"] !== this.participant){
+        this.jesprLog("Ignoring the checkpoint of an interrupted session by another participant.");
+        return false;
+    }
+    return true;
+};
+
+/*
+ * Offers to resume an interrupted session or to start over
+ * @param checkpoint - The checkpoint saved by the interrupted session
+ */
+Experiment.prototype.showResumePrompt = function(checkpoint){
+    var self = this;
+    var promptDiv = document.createElement("div");
+    promptDiv.className = "resumePrompt";
+    var label = document.createElement("p");
+    label.textContent = "This experiment was interrupted before you finished it.";
+    promptDiv.appendChild(label);
+    var resumeButton = document.createElement("button");
+    resumeButton.type = "button";
+    resumeButton.className = "resumeButton";
+    resumeButton.textContent = "Resume where I left off";
+    promptDiv.appendChild(resumeButton);
+    var restartButton = document.createElement("button");
+    restartButton.type = "button";
+    restartButton.className = "resumeButton";
+    restartButton.textContent = "Start over";
+    promptDiv.appendChild(restartButton);
+    var choose = function(e){
+        if (resumeButton.removeEventListener) {
+            resumeButton.removeEventListener("click", choose);
+            restartButton.removeEventListener("click", choose);
+        } else if (resumeButton.detachEvent) {
+            resumeButton.detachEvent("onclick", choose);
+            restartButton.detachEvent("onclick", choose);
+        }
+        self.frame.removeChild(promptDiv);
+        var target = e.target || e.srcElement;
+        if (target === resumeButton && self.restoreCheckpoint(checkpoint)){
+            self.beginExperiment();
+        } else {
+            if (target !== resumeButton){
+                self.jesprLog("Participant chose to start over instead of resuming an interrupted session.");
+            }
+            self.clearCheckpoint();
+            self.startNewSession();
+        }
+    };
+    if (resumeButton.addEventListener) {
+        resumeButton.addEventListener("click", choose);
+        restartButton.addEventListener("click", choose);
+    } else if (resumeButton.attachEvent) {
+        resumeButton.attachEvent("onclick", choose);
+        restartButton.attachEvent("onclick", choose);
+    }
+    this.frame.appendChild(promptDiv);
+};
+
+/*
+ * Calls the callback function (if any) with the summary of the session
+ */
+Experiment.prototype.finishExperiment = function(){
     if (typeof this.callbackFunction === "function"){
-        this.callbackFunction();
+        this.callbackFunction(this.getSummary());
+    }
+};
+
+/*
+ * Gets the request body sent to the data-endpoint
+ * @param complete - false if the experiment has not ended yet
+ * @returns A JSON string with the results (in the output-format) and the log
+ */
+Experiment.prototype.getSubmission = function(complete){
+    var results = this.getResults();
+    return JSON.stringify({ "title": this.title,
+                            "participant": this.participant,
+                            "complete": complete,
+                            "designFingerprint": this.designFingerprint,
+                            "checksum": getResultsChecksum(results),
+                            "format": this.outputFormat,
+                            "results": results,
+                            "codebook": this.getCodebook(),
+                            "metadata": this.getMetadata(),
+                            "interruptions": this.interruptions.length,
+                            "log": this.log });
+};
+
+/*
+ * POSTs the results and log to the data-endpoint, retrying with an increasing
+ * delay if the request fails. The participant sees the status of the submission.
+ * Until it has been sent (or all retries have failed), closing the page sends
+ * it with a beacon instead (see processPagehide).
+ */
+Experiment.prototype.submitResults = function(){
+    var self = this;
+    var statusDiv = document.createElement("div");
+    statusDiv.className = "submissionStatus";
+    document.body.appendChild(statusDiv);
+    var body = this.getSubmission(true);
+    var attempt = 0;
+    this.pendingSubmission = body;
+    var stopBeacon = function(){
+        self.pendingSubmission = undefined;
+        if (window.removeEventListener){
+            window.removeEventListener("pagehide", self.processPagehide);
+        }
+    };
+    var send = function(){
+        attempt++;
+        statusDiv.textContent = "Sending your results. Please do not close this page...";
+        var request = new XMLHttpRequest();
+        request.onreadystatechange = function(){
+            if (request.readyState !== 4){
+                return;
+            }
+            if (request.status >= 200 && request.status < 300){
+                self.jesprLog("Results sent to " + self.dataEndpoint);
+                self.submitted = true;
+                statusDiv.textContent = "Your results have been saved. Thank you!";
+                stopBeacon();
+                self.finishExperiment();
+            } else {
+                retry("status " + request.status);
+            }
+        };
+        try {
+            request.open("POST", self.dataEndpoint, true);
+            request.setRequestHeader("Content-Type", "application/json");
+            request.send(body);
+        } catch (err) {
+            // e.g., a malformed data-endpoint URL
+            request.onreadystatechange = null;
+            retry(String(err));
+        }
+    };
+    var retry = function(reason){
+        if (attempt <= self.submissionRetries){
+            var delay = self.submissionRetryDelay * Math.pow(2, attempt - 1);
+            self.jesprLog("Sending results failed (" + reason + "). Retrying in " + delay + " ms");
+            statusDiv.textContent = "Sending your results failed. Trying again...";
+            setTimeout(send, delay);
+        } else {
+            self.jesprLog("Sending results failed (" + reason + ") after " + attempt + " attempts");
+            self.submitted = false;
+            statusDiv.textContent = "Your results could not be sent. Please contact the researcher before closing this page.";
+            stopBeacon();
+            self.finishExperiment();
+        }
+    };
+    send();
+};
+
+/*
+ * Keeps a running count of correct responses
+ * @param item - The Item whose prompt was answered
+ * @param accuracy - 1 for a correct response, 0 for an incorrect response
+ */
+Experiment.prototype.scoreResponse = function(item, accuracy){
+    var counts = item.isPractice ? this.responseCounts["practice"] : this.responseCounts["experiment"];
+    counts["scored"]++;
+    counts["correct"] += accuracy;
+};
+
+/*
+ * Keeps a running count of passed and failed attention checks and, once more
+ * than max-attention-check-failures have been failed, marks the session to end
+ * @param item - The attention-check Item whose prompt was answered (or timed out)
+ * @param accuracy - 1 for a correct response, 0 otherwise
+ */
+Experiment.prototype.scoreAttentionCheck = function(item, accuracy){
+    this.attentionCheckCounts[accuracy === 1 ? "passed" : "failed"]++;
+    this.jesprLog("Attention check " + item.id + (accuracy === 1 ? " passed" : " failed"));
+    if (typeof this.maxAttentionCheckFailures !== 'undefined' && this.attentionCheckCounts["failed"] > this.maxAttentionCheckFailures && !this.attentionCheckExclusion){
+        this.attentionCheckExclusion = true;
+        this.jesprLog("More than " + this.maxAttentionCheckFailures + " attention checks failed. Ending experiment.");
+    }
+};
+
+/*
+ * Returns true if interruptions are recorded: with interruption-handling
+ * "pause" or "log", or with fullscreen "required" (leaving fullscreen pauses)
+ */
+Experiment.prototype.hasInterruptionColumn = function(){
+    return this.interruptionHandling !== "none" || this.fullscreen === "required";
+};
+
+/*
+ * Returns true if changes of fullscreen are recorded: only if the design sets
+ * "fullscreen" to "optional" or "required" (by default, the Enter key still
+ * switches fullscreen on and off, but nothing is recorded)
+ */
+Experiment.prototype.hasFullscreenColumn = function(){
+    return this.fullscreen !== "off" && typeof this.design["fullscreen"] !== 'undefined';
+};
+
+/*
+ * Returns true if the experiment-stimuli include attention-check items
+ */
+Experiment.prototype.hasAttentionChecks = function(){
+    return this.attentionCheckCount > 0;
+};
+
+/*
+ * Gets the proportion of correct responses so far
+ * @param block - "experiment" (default) or "practice"
+ * @returns A number between 0 and 1, or "NA" if no responses have been scored
+ */
+Experiment.prototype.getAccuracy = function(block){
+    var counts = this.responseCounts[typeof block !== 'undefined' ? block : "experiment"];
+    return counts["scored"] > 0 ? counts["correct"] / counts["scored"] : "NA";
+};
+
+/*
+ * @returns The number of times the page left fullscreen during the experiment
+ */
+Experiment.prototype.getFullscreenExits = function(){
+    var exits = 0;
+    for (var i=1; i<this.fullscreenChanges.length; i++){
+        if (this.fullscreenChanges[i-1]["fullscreen"] && !this.fullscreenChanges[i]["fullscreen"]){
+            exits++;
+        }
+    }
+    return exits;
+};
+
+/*
+ * Gets an overview of the session, which is passed to the callback function
+ * when the experiment ends (e.g., to reject participants with low accuracy)
+ */
+Experiment.prototype.getSummary = function(){
+    return { "participant": this.participant,
+             "accuracy": this.getAccuracy("experiment"),
+             "correct": this.responseCounts["experiment"]["correct"],
+             "scored": this.responseCounts["experiment"]["scored"],
+             "practiceAccuracy": this.getAccuracy("practice"),
+             "practiceAttempts": this.practiceAttempt,
+             "practicePassed": this.practicePassed,
+             "attentionChecks": this.attentionCheckCount,
+             "attentionChecksPassed": this.attentionCheckCounts["passed"],
+             "attentionChecksFailed": this.attentionCheckCounts["failed"],
+             "attentionCheckExclusion": this.attentionCheckExclusion,
+             "interruptions": this.interruptions.length,
+             "fullscreenExits": this.getFullscreenExits(),
+             "submitted": this.submitted,
+             "designFingerprint": this.designFingerprint,
+             "checksum": this.resultsChecksum,
+             "data": this.getResults(),
+             "codebook": this.getCodebook(),
+             "metadata": this.getMetadata(),
+             "json": this.getJsonData() };
+};
+
+/*
+ * Returns true if the practice block is repeated until a practice-criterion is met
+ */
+Experiment.prototype.hasPracticeLoop = function(){
+    return typeof this.practiceCriterion !== 'undefined';
+};
+
+/*
+ * Checks the practice accuracy at the end of a practice attempt. If the
+ * criterion was missed, the practice items are reshuffled and inserted after
+ * the current screen, preceded by any practice-retry-screens.
+ * @returns false if the criterion was missed and no practice attempts are left
+ */
+Experiment.prototype.endPracticeAttempt = function(){
+    var accuracy = this.getAccuracy("practice");
+    this.jesprLog("Practice attempt " + this.practiceAttempt + " accuracy: " + accuracy + " (criterion: " + this.practiceCriterion + ")");
+    if (accuracy !== "NA" && accuracy >= this.practiceCriterion){
+        this.practicePassed = true;
+        this.lastPracticeIndex = undefined;
+        return true;
+    }
+    if (this.practiceAttempt >= this.maxPracticeAttempts){
+        this.practicePassed = false;
+        this.lastPracticeIndex = undefined;
+        this.jesprLog("Practice criterion not met after " + this.practiceAttempt + " attempts. Ending experiment.");
+        return false;
+    }
+    // The practice accuracy always refers to the latest attempt
+    this.responseCounts["practice"] = { "correct": 0, "scored": 0 };
+    var screens = this.loadPracticeAttempt();
+    for (var i=0; i<screens.length; i++){
+        this.screens.splice(this.curScreenIndex + 1 + i, 0, screens[i]);
+    }
+    this.lastPracticeIndex = this.curScreenIndex + screens.length;
+    return true;
+};
+
+/*
+ * Creates the screens for the next attempt at the practice block: the practice
+ * items and, for a repeated attempt, the practice-retry-screens. A repeated
+ * attempt always shows the items in a new random order (even if the
+ * practice-stimuli "order" is "fixed"). All screens are labeled with the
+ * attempt number.
+ * @returns An array of Screen objects
+ */
+Experiment.prototype.loadPracticeAttempt = function(){
+    this.practiceAttempt++;
+    var screens = [];
+    if (this.practiceAttempt > 1 && this.design["practice-retry-screens"]){
+        screens = this.loadInstructions(this.design["practice-retry-screens"]);
+        for (var i=0; i<screens.length; i++){
+            screens[i].object.practiceAttempt = this.practiceAttempt;
+        }
+    }
+    var practiceScreens = this.loadStimuliGroup(this.design["practice-stimuli"], "NA");
+    if (this.practiceAttempt > 1){
+        shuffle(practiceScreens);
     }
+    for (var j=0; j<practiceScreens.length; j++){
+        practiceScreens[j].object.isPractice = true;
+        practiceScreens[j].object.isAttentionCheck = false; // only counted among the experiment-stimuli
+        if (this.hasPracticeLoop()){
+            practiceScreens[j].object.practiceAttempt = this.practiceAttempt;
+        }
+    }
+    return screens.concat(practiceScreens);
+};
+
+/*
+ * Returns how long (in ms) a region is shown with timed pacing
+ * @param region - The Region object
+ */
+Experiment.prototype.getRegionDuration = function(region){
+    return this.regionDuration + this.characterDuration * region.text.length;
+};
+
+/*
+ * Returns the current time from the clock selected by the timing setting
+ */
+Experiment.prototype.now = function(){
+    return this.timing === "performance" ? window.performance.now() : Date.now();
+};
+
+/*
+ * Returns the time elapsed since the start of the experiment
+ */
+Experiment.prototype.getElapsedTime = function(){
+    return this.toElapsedTime(this.now());
+};
+
+/*
+ * Converts a timestamp from the experiment clock (e.g., an animation frame
+ * timestamp with "performance" timing) to time elapsed since the start of the
+ * experiment. High-resolution times are rounded to the nearest microsecond.
+ */
+Experiment.prototype.toElapsedTime = function(timestamp){
+    return Math.round((timestamp - this.startTime) * 1000) / 1000;
 };
 
 Experiment.prototype.updateProgressBar = function(){
@@ -1154,7 +3218,10 @@ Experiment.prototype.createResults = function(){
     var hdr = document.createElement("h2");
     hdr.textContent = "Experimental results";
     container.appendChild(hdr);
-    var data = this.getData();
+    var data = this.getResults();
+    // The checksum is kept out of the log, which travels with the results, and is only passed to the
+    // callback function (and the data-endpoint) so that it can be stored separately from the results
+    this.resultsChecksum = getResultsChecksum(data);
     var resultsDisplay = document.createElement("textarea");
     resultsDisplay.id = "resultsDisplay";
     resultsDisplay.name = "jesprResults";
@@ -1187,82 +3254,717 @@ Experiment.prototype.createLog = function(){
     if (this.showLogDisplay){
         logDisplay.style.display = "inline-block";
     }
-    container.appendChild(logDisplay);
-    this.form.appendChild(container);
+    container.appendChild(logDisplay);
+    this.form.appendChild(container);
+};
+
+/*
+ * Creates the (hidden) codebook textarea, which is submitted with the form
+ */
+Experiment.prototype.createCodebook = function(){
+    var container = document.createElement("div");
+    container.className = "center";
+    var hdr = document.createElement("h2");
+    hdr.textContent = "Codebook";
+    container.appendChild(hdr);
+    var codebookDisplay = document.createElement("textarea");
+    codebookDisplay.id = "codebookDisplay";
+    codebookDisplay.name = "jesprCodebook";
+    codebookDisplay.className = "codebook";
+    codebookDisplay.value = JSON.stringify(this.getCodebook(), null, 2);
+    codebookDisplay.rows = 12;
+    codebookDisplay.readOnly = true;
+    codebookDisplay.wrap = "soft";
+    if (this.showCodebookDisplay){
+        codebookDisplay.style.display = "inline-block";
+    }
+    container.appendChild(codebookDisplay);
+    this.form.appendChild(container);
+};
+
+/*
+ * Creates the (hidden) metadata textarea, which is submitted with the form
+ */
+Experiment.prototype.createMetadata = function(){
+    var container = document.createElement("div");
+    container.className = "center";
+    var hdr = document.createElement("h2");
+    hdr.textContent = "Session metadata";
+    container.appendChild(hdr);
+    var metadataDisplay = document.createElement("textarea");
+    metadataDisplay.id = "metadataDisplay";
+    metadataDisplay.name = "jesprMetadata";
+    metadataDisplay.className = "metadata";
+    metadataDisplay.value = JSON.stringify(this.getMetadata(), null, 2);
+    metadataDisplay.rows = 12;
+    metadataDisplay.readOnly = true;
+    metadataDisplay.wrap = "soft";
+    if (this.showMetadataDisplay){
+        metadataDisplay.style.display = "inline-block";
+    }
+    container.appendChild(metadataDisplay);
+    this.form.appendChild(container);
+};
+
+/*
+ * Gets information about the participant's browser and display, and the
+ * start, end and duration (in ms) of the session. The browser and display
+ * information is the snapshot taken when the session began (in a resumed
+ * session: when it was resumed), and the window size at the time of the call
+ * is added as endWindowWidth and endWindowHeight. Values which the browser
+ * doesn't provide are null.
+ */
+Experiment.prototype.getMetadata = function(){
+    var metadata = typeof this.startMetadata !== 'undefined' ? this.startMetadata : this.getBrowserMetadata();
+    var current = this.getBrowserMetadata();
+    return { "browser": metadata["browser"],
+             "userAgent": metadata["userAgent"],
+             "language": metadata["language"],
+             "screenWidth": metadata["screenWidth"],
+             "screenHeight": metadata["screenHeight"],
+             "windowWidth": metadata["windowWidth"],
+             "windowHeight": metadata["windowHeight"],
+             "endWindowWidth": current["windowWidth"],
+             "endWindowHeight": current["windowHeight"],
+             "devicePixelRatio": metadata["devicePixelRatio"],
+             "zoomEstimate": metadata["zoomEstimate"],
+             "refreshRate": typeof this.refreshRate !== 'undefined' ? this.refreshRate : null,
+             "timeZone": metadata["timeZone"],
+             "timeZoneOffset": metadata["timeZoneOffset"],
+             "startTime": typeof this.startTimestamp !== 'undefined' ? toIsoTimestamp(this.startTimestamp) : null,
+             "endTime": typeof this.endTimestamp !== 'undefined' ? toIsoTimestamp(this.endTimestamp) : null,
+             "duration": typeof this.endTimestamp !== 'undefined' ? this.endTimestamp - this.startTimestamp : null };
+};
+
+/*
+ * Gets the current information about the participant's browser, display and
+ * window, for getMetadata()
+ */
+Experiment.prototype.getBrowserMetadata = function(){
+    var windowWidth = typeof window.innerWidth !== 'undefined' ? window.innerWidth : document.documentElement.clientWidth;
+    var windowHeight = typeof window.innerHeight !== 'undefined' ? window.innerHeight : document.documentElement.clientHeight;
+    var timeZone = null;
+    try {
+        timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch (err) {
+        // Intl is not supported by this browser
+    }
+    return { "browser": browser(),
+             "userAgent": navigator.userAgent,
+             "language": navigator.language || navigator.userLanguage || null,
+             "screenWidth": screen.width,
+             "screenHeight": screen.height,
+             "windowWidth": windowWidth,
+             "windowHeight": windowHeight,
+             "devicePixelRatio": typeof window.devicePixelRatio !== 'undefined' ? window.devicePixelRatio : null,
+             // Only a rough estimate from the outer (browser) and inner (page) window widths: browser
+             // toolbars, side panels and scrollbars also make the page narrower than the browser window
+             "zoomEstimate": window.outerWidth > 0 && windowWidth > 0 ? Math.round(window.outerWidth / windowWidth * 100) / 100 : null,
+             "timeZone": typeof timeZone !== 'undefined' ? timeZone : null,
+             "timeZoneOffset": -(new Date()).getTimezoneOffset() }; // minutes ahead of UTC
+};
+
+/*
+ * Measures the refresh rate of the display from the intervals between 60
+ * animation frames (the median interval, so that a few dropped frames don't
+ * matter). The result is available about one second after the start.
+ */
+Experiment.prototype.measureRefreshRate = function(){
+    var self = this;
+    if (typeof window.requestAnimationFrame !== 'function'){
+        this.jesprLog("Cannot measure the display refresh rate in this browser.");
+        return;
+    }
+    var frameTimes = [];
+    var countFrame = function(timestamp){
+        frameTimes.push(timestamp);
+        if (frameTimes.length <= 60){
+            window.requestAnimationFrame(countFrame);
+        } else {
+            var intervals = [];
+            for (var i=1; i<frameTimes.length; i++){
+                intervals.push(frameTimes[i] - frameTimes[i-1]);
+            }
+            intervals.sort(function(a, b){ return a - b; });
+            var median = intervals[Math.floor(intervals.length / 2)];
+            if (median > 0){
+                self.refreshRate = Math.round(10000 / median) / 10;
+                self.jesprLog("Display refresh rate: " + self.refreshRate + " Hz");
+            }
+        }
+    };
+    window.requestAnimationFrame(countFrame);
+};
+
+/*
+ * Builds a data dictionary for the results of this session: a description of
+ * each column (in output order), of each keyCode value in the data, the values
+ * in each tag column and the display settings in effect.
+ */
+Experiment.prototype.getCodebook = function(){
+    var descriptions = this.getColumnDescriptions();
+    var header = this.getHeader();
+    var columns = [];
+    for (var i=0; i<header.length; i++){
+        var description = descriptions[header[i]];
+        if (/^tag\d+$/.test(header[i])){
+            description = "Tag " + header[i].substr(3) + " of the item as given in the design (e.g., an experimental condition)";
+        }
+        columns.push({ "name": header[i], "description": description });
+    }
+    var keyCodes = [];
+    var tags = [];
+    var itemSettings = { "display": [], "orientation": [], "masking-character": [], "fixation-character": [], "option-order": [] };
+    var addValue = function(list, value){
+        if (!list.some(function(v){ return v === value; })){ list.push(value); }
+    };
+    for (var j=0; j<this.screens.length; j++){
+        var object = this.screens[j].object;
+        var codes = [];
+        if (this.screens[j].type === "stimuli"){
+            for (var k=0; k<object.timeData.length; k++){ codes.push(object.timeData[k]["keyCode"]); }
+            for (var t=0; t<object.tags.length; t++){
+                if (tags.length <= t){ tags.push({ "name": "tag" + (t + 1), "values": [] }); }
+                addValue(tags[t]["values"], object.tags[t].length > 0 ? object.tags[t] : this.naToken);
+            }
+            addValue(itemSettings["display"], object.display);
+            addValue(itemSettings["orientation"], object.orientation);
+            addValue(itemSettings["masking-character"], object.maskChar);
+            addValue(itemSettings["fixation-character"], object.fixationChar);
+            addValue(itemSettings["option-order"], object.optionOrder);
+        } else if (typeof object.keyCode !== 'undefined'){
+            codes.push(object.keyCode);
+        }
+        for (var c=0; c<codes.length; c++){
+            var code = /^TOUCH:/.test(codes[c]) ? "TOUCH:x;y" : codes[c];
+            if (!keyCodes.some(function(kc){ return kc["code"] === code; })){
+                keyCodes.push({ "code": code, "description": describeKeyCode(code) });
+            }
+        }
+    }
+    return { "title": this.title,
+             "format": this.outputFormat,
+             "naToken": this.naToken,
+             "columns": columns,
+             "keyCodes": keyCodes,
+             "tags": tags,
+             "settings": { "display": this.display,
+                           "orientation": this.orientation,
+                           "masking-character": this.maskchar,
+                           "fixation-character": this.fixationchar,
+                           "option-order": this.optionOrder,
+                           "input-method": this.inputMethod,
+                           "pacing": this.pacing,
+                           "timing": this.timing },
+             "itemSettings": itemSettings };
+};
+
+/*
+ * @returns An object with a description of each (non-tag) results column
+ */
+Experiment.prototype.getColumnDescriptions = function(){
+    var time = this.timing === "performance" ? "ms (high-resolution)" : "ms";
+    return { "participant": "Participant identifier (participant-id setting: " + this.participantIdSource + (this.hashParticipantId ? ", SHA-256 hashed" : "") + ")",
+             "itemId": "ID of the item, instructions, break or title screen",
+             "regionId": "ID of the event within the item: <itemId>_fixation, <itemId>_<region index>, <itemId>_prompt, <itemId>_feedback or <itemId>_timeout (the timeout-message)",
+             "roiRelPosition": "Position of the region relative to the region of interest (0 = the region of interest)",
+             "elapsedTime": "Time of the response, in " + time + " since the start of the experiment",
+             "timeInterval": "Time from the onset of the region (or screen) to the response, in " + time + " (for a break screen, the length of the break)",
+             "onsetTime": "Time at which the region was painted on screen, in " + time + " since the start of the experiment",
+             "exposureTime": "Time from the painted onset of the region to the response, in " + time,
+             "scheduledOnset": "With timed pacing, the time at which the region was scheduled to appear",
+             "keyCode": "Input that ended the region or screen (see keyCodes)",
+             "string": "Text of the region, the prompt and its options (prompt|option 1|option 2...), or the start of the screen text",
+             "releaseTime": "Time at which the key (keyCode KBD:n) was released, in " + time + " since the start of the experiment (" + this.naToken + " for other inputs, or if the key was released after the experiment ended)",
+             "holdDuration": "Time for which the key was held down, in " + time,
+             "ignored": "1 if the input had no effect (e.g., a key pressed while the prompt or a region was showing that does not answer or advance it), 0 otherwise",
+             "interruptionTime": "Time for which the page was hidden or out of focus before the response (see interruptions), in ms",
+             "fullscreen": "1 if the page was in fullscreen at the time of the response, 0 if not",
+             "regionLength": "Number of characters in the region",
+             "regionWords": "Number of words in the region",
+             "regionPosition": "Position of the region in the item (1 = first region)",
+             "sentenceLength": "Number of regions in the item",
+             "frequency": "Mean lexicon frequency of the words in the region",
+             "residualRT": "Reading time minus the reading time predicted from region length for this participant (" + this.naToken + " for regions that timed out or were interrupted)",
+             "msPerChar": "Reading time divided by the number of characters in the region (" + this.naToken + " for regions that timed out or were interrupted)",
+             "response": "Text of the chosen option or the typed answer",
+             "responseIndex": "Position of the chosen option in the design (1 = first option)",
+             "accuracy": "1 if the chosen option is marked correct, 0 if not (" + this.naToken + " if no option is marked correct)",
+             "setName": "Name of the stimuli-set of the item",
+             "groupName": "Name of the group of the item",
+             "list": "Latin-square list assigned to the participant",
+             "practiceAttempt": "Number of the practice attempt (practice is repeated until the practice-criterion is met)",
+             "attentionCheck": "1 for an attention-check item (passed if accuracy is 1), 0 for other items",
+             "resumeCount": "Number of times the session had been resumed after an interruption when this row was recorded",
+             "display": "Display mode of the item",
+             "orientation": "Orientation of the regions of the item",
+             "maskingChar": "Character used to mask unread regions",
+             "fixationChar": "Character shown as the fixation point",
+             "optionOrder": "Order of the prompt options: fixed or random",
+             "designFingerprint": "Code that identifies the design file used; the same for every participant who did the same version of the experiment (open jespr-verify.html with a design file to get its code)" };
+};
+
+/*
+ * Adds a key press record (a timeData event, or a title or instructions
+ * screen) to those waiting for the release of the key
+ * @param record - An object with "keyCode" and "releaseTime" properties
+ */
+Experiment.prototype.awaitKeyRelease = function(record){
+    this.pendingReleases.push(record);
+};
+
+/*
+ * Sets the releaseTime of the waiting key press records for the given key
+ * @param keyCode - The code of the released key (e.g., KBD:32)
+ * @param elapsedTime - The time at which the key was released
+ */
+Experiment.prototype.recordKeyRelease = function(keyCode, elapsedTime){
+    var pending = [];
+    for (var i=0; i<this.pendingReleases.length; i++){
+        if (this.pendingReleases[i]["keyCode"] === keyCode){
+            this.pendingReleases[i]["releaseTime"] = elapsedTime;
+        } else {
+            pending.push(this.pendingReleases[i]);
+        }
+    }
+    this.pendingReleases = pending;
+};
+
+/*
+ * Gets the column names of the results output
+ */
+Experiment.prototype.getHeader = function(){
+    var header = ["participant", "itemId", "regionId", "roiRelPosition", "elapsedTime", "timeInterval"];
+    if (this.timing === "performance"){ header.push("onsetTime", "exposureTime"); }
+    if (this.pacing === "timed"){ header.push("scheduledOnset"); }
+    header.push("keyCode", "string", "releaseTime", "holdDuration", "ignored");
+    if (this.hasInterruptionColumn()){ header.push("interruptionTime"); }
+    if (this.hasFullscreenColumn()){ header.push("fullscreen"); }
+    if (this.lexicalAnnotations){
+        header.push("regionLength", "regionWords", "regionPosition", "sentenceLength");
+        if (typeof this.lexiconSource !== 'undefined'){ header.push("frequency"); }
+    }
+    if (this.residualReadingTimes){ header.push("residualRT", "msPerChar"); }
+    header.push("response", "responseIndex", "accuracy", "setName", "groupName");
+    if (this.listAssignment === "latin-square"){ header.push("list"); }
+    if (this.hasPracticeLoop()){ header.push("practiceAttempt"); }
+    if (this.hasAttentionChecks()){ header.push("attentionCheck"); }
+    if (this.autosave !== "none"){ header.push("resumeCount"); }
+    header.push("display", "orientation", "maskingChar", "fixationChar", "optionOrder", "designFingerprint");
+    for (var i=1; i<=this.maxTags; i++){ header.push("tag" + i); }
+    return header;
+};
+
+/*
+ * Gets the experimental results in the format chosen by the output-format setting
+ */
+Experiment.prototype.getResults = function(){
+    return this.outputFormat === "json" ? JSON.stringify(this.getJsonData(), null, 2) : this.getData();
+};
+
+/*
+ * Gets the experimental results as a nested object: the session info and
+ * settings, then each screen in the order presented, with the full timeData
+ * of each item as its events. Missing values are null.
+ */
+Experiment.prototype.getJsonData = function(){
+    var settings = {};
+    for (var name in this.design){
+        // Only the simple settings; the stimuli and screens are given in "screens"
+        if (this.design.hasOwnProperty(name) && typeof this.design[name] !== 'object'){
+            settings[name] = this.design[name];
+        }
+    }
+    var order = [];
+    var screens = [];
+    for (var i=0; i<this.screens.length; i++){
+        order.push(this.screens[i].object.id);
+        screens.push(this.screens[i].getJson());
+    }
+    var interruptions = [];
+    for (var j=0; j<this.interruptions.length; j++){
+        interruptions.push({ "start": this.interruptions[j]["start"],
+                             "end": naToNull(this.interruptions[j]["end"]),
+                             "duration": naToNull(this.interruptions[j]["duration"]),
+                             "cause": this.interruptions[j]["cause"],
+                             "screenId": this.interruptions[j]["screenId"] });
+    }
+    return { "session": { "title": this.title,
+                          "designFingerprint": this.designFingerprint,
+                          "participant": this.participant,
+                          "participantIdSource": this.participantIdSource,
+                          "startTimestamp": typeof this.startTimestamp !== 'undefined' ? this.startTimestamp : null, // ms since 1970
+                          "timing": this.timing,
+                          "list": naToNull(this.list),
+                          "accuracy": naToNull(this.getAccuracy("experiment")),
+                          "practiceAccuracy": naToNull(this.getAccuracy("practice")),
+                          "practiceAttempts": this.practiceAttempt,
+                          "practicePassed": naToNull(this.practicePassed),
+                          "attentionChecksPassed": this.attentionCheckCounts["passed"],
+                          "attentionChecksFailed": this.attentionCheckCounts["failed"],
+                          "attentionCheckExclusion": this.attentionCheckExclusion,
+                          "resumeCount": this.resumeCount,
+                          "interruptions": interruptions,
+                          "fullscreenChanges": this.fullscreenChanges,
+                          "residualModel": typeof this.residualModel !== 'undefined' ? this.residualModel : null },
+             "metadata": this.getMetadata(),
+             "settings": settings,
+             "presentationOrder": order,
+             "screens": screens };
+};
+
+/*
+ * Gets the experimental results as delimited text (see DataSerializer)
+ */
+Experiment.prototype.getData = function(){
+    var rows = [this.getHeader()];
+    for (var j=0; j<this.screens.length; j++){
+        rows = rows.concat(this.screens[j].getRows(this.participant, this.maxTags));
+    }
+    return this.serializer.serialize(rows);
+};
+
+/*
+ * Determines the participant identifier according to the "participant-id"
+ * setting. If no identifier is available from the chosen source, the start
+ * time of the experiment is used instead. With "hash-participant-id", only a
+ * SHA-256 hash of the identifier is kept.
+ * @param enteredId - The identifier typed into the participant ID prompt
+ * @returns The string to be written to the participant column of the results
+ */
+Experiment.prototype.setParticipant = function(enteredId){
+    var id;
+    if (this.participantIdSource === "url-parameter"){
+        id = getUrlParameter(this.participantIdParameter);
+        if (typeof id === 'undefined' || jesprTrim(id).length < 1){
+            this.jesprLog("No '" + this.participantIdParameter + "' parameter found in URL.");
+            id = undefined;
+        }
+    } else if (this.participantIdSource === "constructor"){
+        id = this.suppliedParticipantId;
+        if (typeof id === 'undefined' || id === null || jesprTrim(String(id)).length < 1){
+            this.jesprLog("No participant ID was passed to the Experiment constructor.");
+            id = undefined;
+        }
+    } else if (this.participantIdSource === "prompt"){
+        id = enteredId;
+    }
+    var result;
+    if (typeof id === 'undefined'){
+        var d = new Date();
+        d.setTime(typeof this.startTimestamp !== 'undefined' ? this.startTimestamp : Date.now());
+        result = d.toString(); // date.toISOString() gives ms, but not compatible with IE<9
+        this.jesprLog("Using start time as participant ID.");
+    } else {
+        result = jesprTrim(String(id));
+        if (this.hashParticipantId){
+            result = sha256(this.participantIdSalt + result);
+            this.jesprLog("Participant ID (" + this.participantIdSource + ") hashed: " + result);
+        } else {
+            this.jesprLog("Participant ID (" + this.participantIdSource + "): " + result);
+        }
+    }
+    return result;
+};
+
+/*
+ * Shows a screen in the experiment frame asking the participant to type in
+ * an identifier. The entry must be non-empty and, if "participant-id-pattern"
+ * is given, must match that regular expression.
+ * @param checkpoint - The checkpoint of an interrupted session (if any), which
+ * is offered for resuming if it was saved by the same participant
+ */
+Experiment.prototype.showParticipantIdPrompt = function(checkpoint){
+    var self = this;
+    var promptDiv = document.createElement("div");
+    promptDiv.className = "participantIdPrompt";
+    var label = document.createElement("p");
+    label.innerHTML = this.participantIdPromptText;
+    promptDiv.appendChild(label);
+    var input = document.createElement("input");
+    input.type = "text";
+    input.id = "jespr.participantId";
+    input.className = "participantId";
+    input.setAttribute("autocomplete", "off");
+    promptDiv.appendChild(input);
+    var button = document.createElement("button");
+    button.type = "button";
+    button.className = "participantIdButton";
+    button.textContent = "Continue";
+    promptDiv.appendChild(button);
+    var errorP = document.createElement("p");
+    errorP.className = "participantIdError";
+    promptDiv.appendChild(errorP);
+    var submit = function(){
+        var value = jesprTrim(input.value);
+        if (value.length < 1){
+            errorP.textContent = "Please enter an ID to continue.";
+        } else if (typeof self.participantIdPattern !== 'undefined' && !(new RegExp(self.participantIdPattern)).test(value)){
+            errorP.textContent = "That ID does not appear to be valid. Please check it and try again.";
+            self.jesprLog("Invalid participant ID entered");
+        } else {
+            if (button.removeEventListener) {
+                button.removeEventListener("click", submit);
+                input.removeEventListener("keydown", submitOnEnter);
+            } else if (button.detachEvent) {
+                button.detachEvent("onclick", submit);
+                input.detachEvent("onkeydown", submitOnEnter);
+            }
+            self.frame.removeChild(promptDiv);
+            self.participant = self.setParticipant(value);
+            if (typeof checkpoint !== 'undefined' && self.isOwnCheckpoint(checkpoint)){
+                self.showResumePrompt(checkpoint);
+            } else {
+                self.beginExperiment();
+            }
+        }
+    };
+    var submitOnEnter = function(e){
+        var keyCode = e.which || e.keyCode;
+        if (keyCode === 13){
+            submit();
+        }
+    };
+    if (button.addEventListener) {
+        button.addEventListener("click", submit);
+        input.addEventListener("keydown", submitOnEnter);
+    } else if (button.attachEvent) { // For IE<9
+        button.attachEvent("onclick", submit);
+        input.attachEvent("onkeydown", submitOnEnter);
+    }
+    this.frame.appendChild(promptDiv);
+    input.focus();
+    this.jesprLog("Showing participant ID prompt");
+};
+
+Experiment.prototype.parseFeedbackOptions = function(design){
+    var result = {};
+    for (var i=0; i<design.length; i++){
+        result[design[i]["name"]] = {};
+        result[design[i]["name"]]["string"] = design[i]["string"];
+        result[design[i]["name"]]["text-color"] = this.textcolor;
+        if (typeof design[i]["text-color"] !== 'undefined'){
+            if (isValidColor(design[i]["text-color"])){
+                result[design[i]["name"]]["text-color"] = design[i]["text-color"];
+            }
+        }
+    }
+    return result;
+};
+
+Experiment.prototype.loadDesign = function(){
+    if (this.designValidated){
+        if (this.listAssignment === "latin-square"){
+            this.assignList();
+        }
+        this.loadScreens();
+        this.jesprLog("Loaded " + this.screens.length + " screens");
+        if (typeof this.lexiconSource !== 'undefined'){
+            this.loadLexicon();
+        }
+    } else {
+        this.displayErrorMessage("Cannot load an unvalidated design: Run validateDesign() on Experiment object first.");
+        this.jesprLog("Cannot load an unvalidated design: Run validateDesign() on Experiment object first.");
+    }
+};
+
+/*
+ * @returns The number of lexical annotation columns in the results output
+ */
+Experiment.prototype.getLexicalColumnCount = function(){
+    if (!this.lexicalAnnotations){
+        return 0;
+    }
+    return typeof this.lexiconSource !== 'undefined' ? 5 : 4;
+};
+
+/*
+ * @returns The number of columns before the response column that are
+ * specific to regions (and so are NA for title and instructions rows)
+ */
+Experiment.prototype.getRegionColumnCount = function(){
+    return this.getLexicalColumnCount() + (this.residualReadingTimes ? 2 : 0);
+};
+
+/*
+ * Fits this participant's region reading times to region length (in
+ * characters) by least squares, using the experimental items (or only those
+ * in the residual-stimuli-sets, e.g. fillers). Practice items and attention
+ * checks are not used.
+ */
+Experiment.prototype.fitResidualModel = function(){
+    var points = [];
+    for (var i=0; i<this.screens.length; i++){
+        var item = this.screens[i].object;
+        if (this.screens[i].type !== "stimuli" || item.isPractice || item.isAttentionCheck){
+            continue;
+        }
+        if (typeof this.residualStimuliSets !== 'undefined' && !this.residualStimuliSets.some(function(name){ return name === item.setName; })){
+            continue;
+        }
+        points = points.concat(item.getRegionReadingTimes());
+    }
+    var n = points.length;
+    var sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+    for (var j=0; j<n; j++){
+        sumX += points[j][0];
+        sumY += points[j][1];
+        sumXY += points[j][0] * points[j][1];
+        sumXX += points[j][0] * points[j][0];
+    }
+    var denominator = n * sumXX - sumX * sumX;
+    if (n < 2 || denominator === 0){
+        this.residualModel = undefined;
+        this.jesprLog("Cannot fit reading times to region length (" + n + " regions). Residual reading times will be NA.");
+        return;
+    }
+    var slope = (n * sumXY - sumX * sumY) / denominator;
+    this.residualModel = { "intercept": (sumY - slope * sumX) / n, "slope": slope, "regions": n };
+    this.jesprLog("Reading time = " + this.residualModel["intercept"] + " + " + slope + " x length (" + n + " regions)");
 };
 
-Experiment.prototype.getData = function(){
-    var lhq = "\"";
-    var rhq = "\"";
-    if (this.quoteMark === 'single_quote') {
-        lhq = "\'";
-        rhq = "\'";
-    } else if (this.quoteMark === 'curly_brackets') {
-        lhq = "{";
-        rhq = "}";
-    }
-    var result = lhq + "participant" + rhq + "," + lhq + "itemId" + rhq + "," + lhq + "regionId" + rhq + "," + lhq + "roiRelPosition" + rhq + "," + lhq + "elapsedTime" + rhq + "," + lhq + "timeInterval" + rhq + "," + lhq + "keyCode" + rhq + "," + lhq + "string" + rhq + "," + lhq + "setName" + rhq + "," + lhq + "groupName" + rhq;
-    for (var i=1; i<=this.maxTags; i++){ result = result + "," + lhq + "tag" + i + rhq; }
-    result = result + "\n";
-    for (var j=0; j<this.screens.length; j++){
-        result = result + this.screens[j].getData(this.participant, this.maxTags);
+/*
+ * @param readingTime - The reading time of a region
+ * @param length - The length of the region in characters
+ * @returns The reading time minus the time predicted from the region length,
+ * or null if no model could be fitted
+ */
+Experiment.prototype.getResidual = function(readingTime, length){
+    if (typeof this.residualModel === 'undefined'){
+        return null;
     }
-    return result;
+    var predicted = this.residualModel["intercept"] + this.residualModel["slope"] * length;
+    return Math.round((readingTime - predicted) * 1000) / 1000;
 };
 
-Experiment.prototype.setParticipant = function(){
-    var d = new Date();
-    d.setTime(this.startTime);
-    var result = d.toString(); // date.toISOString() gives ms, but not compatible with IE<9 
-    // TODO Give user chance to provide an identifier via Experiment constructor
-    // or to input an identifier via a popup input box.
-    return result;
+/*
+ * Loads the lexicon given in the design. A lexicon file is requested
+ * asynchronously, and beginExperiment() waits until it has loaded. If it
+ * cannot be loaded, an error is shown and the experiment does not begin.
+ */
+Experiment.prototype.loadLexicon = function(){
+    var self = this;
+    if (typeof this.lexiconSource === 'object'){
+        this.lexicon = this.parseLexicon(this.lexiconSource);
+    } else {
+        var request = new XMLHttpRequest();
+        request.open("GET", this.lexiconSource, true);
+        request.onreadystatechange = function(){
+            if (request.readyState !== 4){
+                return;
+            }
+            try {
+                if (request.status < 200 || request.status >= 300){
+                    throw new Error("status " + request.status);
+                }
+                self.lexicon = self.parseLexicon(JSON.parse(request.responseText));
+                self.jesprLog("Loaded lexicon from " + self.lexiconSource);
+            } catch (err) {
+                self.lexiconFailed = true;
+                self.displayErrorMessage("Could not load lexicon from " + self.lexiconSource + " (" + err.message + ")");
+                self.jesprLog("Could not load lexicon from " + self.lexiconSource + " (" + err.message + ")");
+            }
+            if (typeof self.lexiconWait !== 'undefined'){
+                // The experiment was waiting for the lexicon
+                self.frame.removeChild(self.lexiconWait);
+                self.lexiconWait = undefined;
+                if (!self.lexiconFailed){
+                    self.beginExperiment();
+                }
+            }
+        };
+        request.send();
+    }
 };
 
-Experiment.prototype.parseFeedbackOptions = function(design){
+/*
+ * @param lexicon - An object of word: frequency pairs
+ * @returns The same pairs, with the words normalized as in getFrequency()
+ */
+Experiment.prototype.parseLexicon = function(lexicon){
     var result = {};
-    for (var i=0; i<design.length; i++){
-        result[design[i]["name"]] = {};
-        result[design[i]["name"]]["string"] = design[i]["string"];
-        result[design[i]["name"]]["text-color"] = this.textcolor;
-        if (typeof design[i]["text-color"] !== 'undefined'){
-            if (isValidColor(design[i]["text-color"])){
-                result[design[i]["name"]]["text-color"] = design[i]["text-color"];
-            }
+    for (var word in lexicon){
+        if (lexicon.hasOwnProperty(word)){
+            result[normalizeWord(word)] = Number(lexicon[word]);
         }
     }
     return result;
 };
 
-Experiment.prototype.loadDesign = function(){
-    if (this.designValidated){
-        // Create title screen
-        this.screens.push(this.loadTitleScreen(this.design));
-        if (this.design["instruction-screens"]){
-            // load pre-practice instructions
-            this.screens = this.screens.concat(this.loadInstructions(this.design["instruction-screens"]));
-        }
-        if (this.design["practice-stimuli"]){
-            // load practice stimuli
-            this.screens = this.screens.concat(this.loadStimuliGroup(this.design["practice-stimuli"], "NA"));
-        }
-        if (this.design["post-practice-instruction-screens"]){
-            // load post-practice instructions
-            this.screens = this.screens.concat(this.loadInstructions(this.design["post-practice-instruction-screens"]));
+/*
+ * Looks up words in the lexicon, ignoring case and surrounding punctuation
+ * @param words - An array of words (e.g., those of one region)
+ * @returns The mean frequency of the words, or null if any of them is not in
+ * the lexicon (or the lexicon has not been loaded)
+ */
+Experiment.prototype.getFrequency = function(words){
+    if (typeof this.lexicon === 'undefined' || words.length < 1){
+        return null;
+    }
+    var total = 0;
+    for (var i=0; i<words.length; i++){
+        var word = normalizeWord(words[i]);
+        if (!this.lexicon.hasOwnProperty(word) || isNaN(this.lexicon[word])){
+            return null;
         }
-        if (this.design["experiment-stimuli"]){
-            // load stimulus sets
-            this.screens = this.screens.concat(this.loadStimuliSets(this.design["experiment-stimuli"]));
+        total += this.lexicon[word];
+    }
+    return total / words.length;
+};
+
+/*
+ * Creates the screens of the experiment (in a new random order, where the
+ * design calls for one) and adds them to the screens array.
+ */
+Experiment.prototype.loadScreens = function(){
+    // Create title screen
+    this.screens.push(this.loadTitleScreen(this.design));
+    if (this.design["instruction-screens"]){
+        // load pre-practice instructions
+        this.screens = this.screens.concat(this.loadInstructions(this.design["instruction-screens"]));
+    }
+    if (this.design["practice-stimuli"]){
+        // load practice stimuli
+        this.screens = this.screens.concat(this.loadPracticeAttempt());
+        if (this.hasPracticeLoop()){
+            this.lastPracticeIndex = this.screens.length - 1;
         }
-        if (this.design["instruction-screens"]){
-            // load ending
-            this.screens = this.screens.concat(this.loadInstructions(this.design["ending-screens"]));
+    }
+    if (this.design["post-practice-instruction-screens"]){
+        // load post-practice instructions
+        this.screens = this.screens.concat(this.loadInstructions(this.design["post-practice-instruction-screens"]));
+    }
+    if (this.design["experiment-stimuli"]){
+        // load stimulus sets (with break screens, if any)
+        var stimuli = this.loadStimuliSets(this.design["experiment-stimuli"]);
+        this.attentionCheckCount = stimuli.filter(function(s){ return s.object.isAttentionCheck; }).length;
+        this.screens = this.screens.concat(this.insertBreaks(stimuli));
+    }
+    if (this.design["instruction-screens"]){
+        // load ending
+        this.screens = this.screens.concat(this.loadInstructions(this.design["ending-screens"]));
+    }
+};
+
+/*
+ * Inserts break screens among the experimental items according to the breaks
+ * setting. Breaks are numbered in order (break1, break2,...).
+ * @param screens - The item screens in presentation order
+ * @returns The screens with the breaks
+ */
+Experiment.prototype.insertBreaks = function(screens){
+    if (this.breaks === "none"){
+        return screens;
+    }
+    var result = [];
+    for (var i=0; i<screens.length; i++){
+        if (i > 0 && (this.breaks === "every-n-items" ? i % this.breakInterval === 0 : screens[i].object.setName !== screens[i-1].object.setName)){
+            var pause = new Break("break" + (result.length - i + 1), this.breakMessage, this.breakMinDuration, this.breakMaxDuration, this.breakAutoResume, this);
+            result.push(new Screen("break", pause));
         }
-        this.jesprLog("Loaded " + this.screens.length + " screens");
-    } else {
-        this.displayErrorMessage("Cannot load an unvalidated design: Run validateDesign() on Experiment object first.");
-        this.jesprLog("Cannot load an unvalidated design: Run validateDesign() on Experiment object first.");
+        result.push(screens[i]);
     }
+    return result;
 };
 
 Experiment.prototype.loadTitleScreen = function(design){
@@ -1297,7 +3999,7 @@ Experiment.prototype.loadStimuliSets = function(design){
     var merge = this.getMerge(design["merge"]);
     for (var i=0; i<design["stimuli-sets"].length; i++){
         var setDesign =design["stimuli-sets"][i]["stimuli-set"];
-        sets.push(this.loadStimuliGroups(setDesign, order, merge));;
+        sets.push(this.loadStimuliGroups(setDesign, order, merge, this.itemSettings));
     }
     if (order === "random") { shuffle(sets); }
     if (merge) {
@@ -1310,15 +4012,16 @@ Experiment.prototype.loadStimuliSets = function(design){
     return screens;
 };
 
-Experiment.prototype.loadStimuliGroups = function(design, ord, mrg){
+Experiment.prototype.loadStimuliGroups = function(design, ord, mrg, stg){
     var set = [];
     var setName = typeof design["name"] !== 'undefined' ? design["name"] : "NA";
     var order = this.getOrder(design["order"], ord);
     var merge = this.getMerge(design["merge"], mrg);
+    var settings = this.getItemSettings(design, stg);
     var groups = [];
     for (var j=0; j<design["groups"].length; j++){
         var groupDesign = design["groups"][j]["group"];
-        var group = this.loadStimuliGroup(groupDesign, setName, order);
+        var group = this.loadStimuliGroup(groupDesign, setName, order, settings);
         groups.push(group);
     }
     if (order === "random") {
@@ -1334,21 +4037,42 @@ Experiment.prototype.loadStimuliGroups = function(design, ord, mrg){
     return set;
 };
 
-Experiment.prototype.loadStimuliGroup = function(design, setName, ord){
+Experiment.prototype.loadStimuliGroup = function(design, setName, ord, stg){
     var screens = [];
     var groupName = typeof design["name"] !== 'undefined' ? design["name"] : "NA";
     var order = this.getOrder(design["order"], ord);
+    var groupSettings = this.getItemSettings(design, typeof stg !== 'undefined' ? stg : this.itemSettings);
     // go through items array and create screenInfo object for each item
     for (var i=0; i<design["items"].length; i++){
         var item = design["items"][i]["item"];
         var id = item["id"];
+        if (typeof this.listItemIds !== 'undefined' && typeof item["item-number"] !== 'undefined'){
+            if (!this.listItemIds.some(function(listId){ return id === listId; })){
+                continue; // belongs to another latin-square list
+            }
+        }
         var tags = typeof item["tags"] !== 'undefined' ? item["tags"] : [];
+        var attentionCheck = isTrue(item["attention-check"]);
         if (tags.length > this.maxTags){ this.maxTags = tags.length; } // update maxTags, if necessary
         var text = item["string"];
-//        var orientation = typeof item["orientation"] !== 'undefined' ? design["items"][i]["item"]["orientation"] : this.orientation;
+        var settings = this.getItemSettings(item, groupSettings);
         var prompt = item["prompt"];
         var options = item["options"];
-        var item = new Item(id, text, this.orientation, this.fixationchar, this.maskchar, this.display, prompt, options, this.feedbackOptions, setName, groupName, tags, this);
+        var promptSettings = { "type": typeof item["prompt-type"] !== 'undefined' ? jesprTrim(item["prompt-type"].toLowerCase()) : "choice",
+                               "scale-min-label": item["scale-min-label"],
+                               "scale-max-label": item["scale-max-label"] };
+        if (promptSettings["type"] === "likert"){
+            // A likert scale is a fixed-order choice among the numbers 1..scale-points
+            options = [];
+            var scalePoints = typeof item["scale-points"] !== 'undefined' ? Number(item["scale-points"]) : 7;
+            for (var p=1; p<=scalePoints; p++){
+                options.push({ "string": String(p) });
+            }
+        }
+        var item = new Item(id, text, settings["orientation"], settings["fixation-character"], settings["masking-character"], settings["display"], settings["option-order"], prompt, options, promptSettings, this.feedbackOptions, setName, groupName, tags, this);
+        item.regionDeadline = settings["region-deadline"];
+        item.promptDeadline = settings["prompt-deadline"];
+        item.isAttentionCheck = attentionCheck;
         // Create the Screen object and push it to the sceens array
         var screen = new Screen("stimuli", item);
         screens.push(screen);
@@ -1359,6 +4083,152 @@ Experiment.prototype.loadStimuliGroup = function(design, setName, ord){
     return screens;
 };
 
+/*
+ * Chooses the latin-square list for this participant according to the
+ * "list-source" setting and keeps the IDs of the items in that list. If no
+ * usable list number is available from the URL or constructor, the list is
+ * chosen round-robin instead.
+ */
+Experiment.prototype.assignList = function(){
+    var lists = this.getLatinSquareLists(this.design["experiment-stimuli"]);
+    var listNumber;
+    if (this.listSource === "url-parameter"){
+        listNumber = Number(getUrlParameter(this.listParameter));
+        if (!(listNumber >= 1 && listNumber <= lists.length && Math.floor(listNumber) === listNumber)){
+            this.jesprLog("No valid '" + this.listParameter + "' parameter found in URL.");
+            listNumber = undefined;
+        }
+    } else if (this.listSource === "constructor"){
+        listNumber = Number(this.suppliedListIndex);
+        if (!(listNumber >= 1 && listNumber <= lists.length && Math.floor(listNumber) === listNumber)){
+            this.jesprLog("No valid list number was passed to the Experiment constructor.");
+            listNumber = undefined;
+        }
+    }
+    if (typeof listNumber === 'undefined'){
+        listNumber = this.getRoundRobinList(lists.length);
+    }
+    this.list = listNumber;
+    this.listItemIds = lists[listNumber-1];
+    this.jesprLog("Assigned latin-square list " + listNumber + " of " + lists.length);
+};
+
+/*
+ * Builds the latin-square lists from the numbered items in the experimental
+ * stimuli. With N conditions, the k-th item number appears in list L (0-based)
+ * in the condition (k + L) % N, where conditions are ordered by first
+ * appearance in the design.
+ * @param stimuli - The experiment-stimuli object of the design
+ * @returns An array of N lists, each an array of item IDs
+ */
+Experiment.prototype.getLatinSquareLists = function(stimuli){
+    var table = getItemConditionTable(stimuli);
+    var lists = [];
+    for (var l=0; l<table.conditions.length; l++){
+        var list = [];
+        for (var k=0; k<table.itemNumbers.length; k++){
+            var condition = table.conditions[(k + l) % table.conditions.length];
+            list.push(table.items[table.itemNumbers[k]][condition]);
+        }
+        lists.push(list);
+    }
+    return lists;
+};
+
+/*
+ * Picks the next list in turn, using a counter kept in the browser's
+ * localStorage (so participants on the same machine rotate through the
+ * lists). The counter starts at a random list, so on a browser that hasn't
+ * run the experiment before (e.g., each online participant's) the list is
+ * effectively random. Balanced lists across machines need a list number
+ * from the server ("url-parameter" or "constructor"). If localStorage is
+ * unavailable, a list is picked at random. The counter only moves on when a
+ * new session begins (see saveListCounter), not when a session is resumed.
+ * @param numLists - The number of lists
+ * @returns A 1-based list number
+ */
+Experiment.prototype.getRoundRobinList = function(numLists){
+    var result;
+    try {
+        var stored = window.localStorage.getItem(this.getListCounterKey());
+        var counter = Number(stored);
+        if (stored === null || isNaN(counter)){
+            counter = Math.floor(Math.random() * numLists);
+        }
+        result = (counter % numLists) + 1;
+        this.nextListCounter = counter + 1;
+    } catch (err) {
+        result = Math.floor(Math.random() * numLists) + 1;
+        this.jesprLog("Could not access localStorage for round-robin list assignment. Using random list.");
+    }
+    return result;
+};
+
+/*
+ * Returns the localStorage key of the round-robin list counter for this experiment
+ */
+Experiment.prototype.getListCounterKey = function(){
+    return "jespr.listCounter." + this.title;
+};
+
+/*
+ * Moves the round-robin list counter on to the next list. Called when a new
+ * session begins, so that a session that is resumed (or reloaded before it
+ * began) doesn't use up a list.
+ */
+Experiment.prototype.saveListCounter = function(){
+    if (typeof this.nextListCounter === 'undefined'){
+        return;
+    }
+    try {
+        window.localStorage.setItem(this.getListCounterKey(), String(this.nextListCounter));
+    } catch (err) {
+        this.jesprLog("Could not save the round-robin list counter to localStorage: " + err);
+    }
+    this.nextListCounter = undefined;
+};
+
+/*
+ * Determines the display settings for a stimuli-set, group or item: any of
+ * "display", "orientation", "masking-character", "fixation-character",
+ * "option-order", "region-deadline" and "prompt-deadline" given in the design
+ * object override the fallback settings (i.e., those of the enclosing set or
+ * group, or the experiment-wide settings).
+ * @param design - The stimuli-set, group or item object of the design
+ * @param fallbackSettings - The settings to use for values not given in design
+ * @returns An object with the effective settings
+ */
+Experiment.prototype.getItemSettings = function(design, fallbackSettings){
+    var result = {};
+    for (var name in fallbackSettings){
+        if (fallbackSettings.hasOwnProperty(name)){
+            result[name] = fallbackSettings[name];
+        }
+    }
+    if (typeof design["display"] !== 'undefined'){
+        result["display"] = jesprTrim(design["display"].toLowerCase());
+    }
+    if (typeof design["orientation"] !== 'undefined'){
+        result["orientation"] = jesprTrim(design["orientation"].toLowerCase());
+    }
+    if (typeof design["masking-character"] !== 'undefined'){
+        result["masking-character"] = jesprTrim(design["masking-character"]).substr(0,1);
+    }
+    if (typeof design["fixation-character"] !== 'undefined'){
+        result["fixation-character"] = jesprTrim(design["fixation-character"]).substr(0,1);
+    }
+    if (typeof design["option-order"] !== 'undefined'){
+        result["option-order"] = jesprTrim(design["option-order"].toLowerCase());
+    }
+    if (typeof design["region-deadline"] !== 'undefined'){
+        result["region-deadline"] = parseDeadline(design["region-deadline"]);
+    }
+    if (typeof design["prompt-deadline"] !== 'undefined'){
+        result["prompt-deadline"] = parseDeadline(design["prompt-deadline"]);
+    }
+    return result;
+};
+
 /*
  * Determines the "order" value or defaults to "fixed" if undefined
  * @param   object containing "order" key-value pair
@@ -1420,24 +4290,47 @@ Experiment.prototype.createFrame = function(){
   if (this.inputMethod === "keyboard") {
       var kbdHelp = document.createElement("div");
       kbdHelp.className = "keyboardHelp";
+      // The option hints are filled in while a prompt is showing (see setKeyboardHelp)
       var kbdHelpLeft = document.createElement("div");
+      kbdHelpLeft.id = "jespr.keyboardHelpLeft";
       kbdHelpLeft.className = "keyboardHelpLeft";
-      kbdHelpLeft.textContent = "Left option: 1/Q/A/Z";
       kbdHelp.appendChild(kbdHelpLeft);
       var kbdHelpCenter = document.createElement("div");
+      kbdHelpCenter.id = "jespr.keyboardHelpCenter";
       kbdHelpCenter.className = "keyboardHelpCenter";
       kbdHelpCenter.textContent = "[space] bar to continue";
       kbdHelp.appendChild(kbdHelpCenter);
       var kbdHelpRight = document.createElement("div");
+      kbdHelpRight.id = "jespr.keyboardHelpRight";
       kbdHelpRight.className = "keyboardHelpRight";
-      kbdHelpRight.textContent = "Right option: 0/P/L/M";
       kbdHelp.appendChild(kbdHelpRight);
       frame.appendChild(kbdHelp);
+  } else if (this.inputMethod === "touchscreen") {
+      var touchHelp = document.createElement("div");
+      touchHelp.className = "touchHelp";
+      touchHelp.textContent = "Tap the screen to continue";
+      frame.appendChild(touchHelp);
   }
   document.body.appendChild(frame);
   return frame;
 };
 
+/*
+ * Sets the keyboard help below the frame (with keyboard input only). Without
+ * arguments, restores the help shown outside of prompts.
+ * @param left - The hint for the left-hand option of a two-option choice
+ * @param center - The hint for the current screen
+ * @param right - The hint for the right-hand option of a two-option choice
+ */
+Experiment.prototype.setKeyboardHelp = function(left, center, right){
+    if (this.inputMethod !== "keyboard"){
+        return;
+    }
+    document.getElementById("jespr.keyboardHelpLeft").textContent = typeof left !== 'undefined' ? left : "";
+    document.getElementById("jespr.keyboardHelpCenter").textContent = typeof center !== 'undefined' ? center : "[space] bar to continue";
+    document.getElementById("jespr.keyboardHelpRight").textContent = typeof right !== 'undefined' ? right : "";
+};
+
 Experiment.prototype.getStringSetting = function(name, value, options, fallback){
     var result = fallback;
     if (typeof value === 'undefined') {
@@ -1462,6 +4355,73 @@ Experiment.prototype.validateDesign = function(){
             result = false;
         }
     }
+    // Check participant ID settings
+    if (typeof this.design["participant-id-pattern"] !== 'undefined'){
+        this.jesprLog("Checking participant-id-pattern");
+        try {
+            new RegExp(this.design["participant-id-pattern"]);
+        } catch (err) {
+            this.displayErrorMessage("Invalid regular expression for participant-id-pattern: " + this.design["participant-id-pattern"]);
+            this.jesprLog("Invalid regular expression for participant-id-pattern: " + this.design["participant-id-pattern"]);
+            result = false;
+        }
+    }
+    // Check timed pacing settings
+    if (this.pacing === "timed"){
+        this.jesprLog("Checking timed pacing settings");
+        var durations = ["region-duration", "character-duration", "blank-duration"];
+        for (var i=0; i<durations.length; i++){
+            var duration = this.design[durations[i]];
+            if (typeof duration !== 'undefined' && !(Number(duration) >= 0)){
+                this.displayErrorMessage("Incorrect setting for '" + durations[i] + "': " + duration);
+                this.jesprLog("Incorrect setting for '" + durations[i] + "': " + duration);
+                result = false;
+            }
+        }
+        if (!(this.regionDuration > 0 || this.characterDuration > 0)){
+            this.displayErrorMessage("Timed pacing requires a 'region-duration' or 'character-duration' greater than 0");
+            this.jesprLog("Timed pacing requires a 'region-duration' or 'character-duration' greater than 0");
+            result = false;
+        }
+        if (this.residualReadingTimes){ // Region durations are set by the design, not by the reader
+            this.displayErrorMessage("Residual reading times cannot be used with timed pacing");
+            this.jesprLog("Residual reading times cannot be used with timed pacing");
+            result = false;
+        }
+    }
+    // Check data submission settings
+    if (typeof this.dataEndpoint !== 'undefined'){
+        this.jesprLog("Checking data-endpoint settings");
+        if (this.dataEndpoint.length < 1){
+            this.displayErrorMessage("Empty 'data-endpoint' setting");
+            this.jesprLog("Empty 'data-endpoint' setting");
+            result = false;
+        }
+        if (!(this.submissionRetries >= 0) || Math.floor(this.submissionRetries) !== this.submissionRetries){
+            this.displayErrorMessage("Incorrect setting for 'submission-retries': " + this.design["submission-retries"]);
+            this.jesprLog("Incorrect setting for 'submission-retries': " + this.design["submission-retries"]);
+            result = false;
+        }
+        if (!(this.submissionRetryDelay >= 0)){
+            this.displayErrorMessage("Incorrect setting for 'submission-retry-delay': " + this.design["submission-retry-delay"]);
+            this.jesprLog("Incorrect setting for 'submission-retry-delay': " + this.design["submission-retry-delay"]);
+            result = false;
+        }
+    }
+    // Check residual reading time settings
+    if (typeof this.residualStimuliSets !== 'undefined'){
+        this.jesprLog("Checking residual-stimuli-sets");
+        if (!this.isValidResidualStimuliSets(this.residualStimuliSets)){
+            result = false;
+        }
+    }
+    // Check lexicon
+    if (typeof this.lexiconSource !== 'undefined'){
+        this.jesprLog("Checking lexicon");
+        if (!this.isValidLexicon(this.lexiconSource)){
+            result = false;
+        }
+    }
     // Check structure of pre-practice instructions
     this.jesprLog("Checking pre-practice instruction screens");
     if (this.design["instruction-screens"]){
@@ -1482,6 +4442,14 @@ Experiment.prototype.validateDesign = function(){
         this.jesprLog("No practice stimuli");
     }
     this.jesprLog("Result = " + result);
+    // Check repeated practice settings
+    if (this.hasPracticeLoop()){
+        this.jesprLog("Checking repeated practice settings");
+        if (!this.isValidPracticeLoop()){
+            result = false;
+        }
+        this.jesprLog("Result = " + result);
+    }
     // Check structure of post-practice instructions
     this.jesprLog("Checking post-practice instruction screens");
     if (this.design["post-practice-instruction-screens"]){
@@ -1504,7 +4472,43 @@ Experiment.prototype.validateDesign = function(){
         result = false;
     }
     this.jesprLog("Result = " + result);
+    // Check that numbered items form a complete latin square
+    if (result && this.listAssignment === "latin-square"){
+        this.jesprLog("Checking latin-square item numbers and conditions");
+        if (!this.isValidLatinSquare(this.design["experiment-stimuli"])){
+            result = false;
+        }
+        this.jesprLog("Result = " + result);
+    }
+    // Check attention-check settings
+    if (typeof this.maxAttentionCheckFailures !== 'undefined'){
+        this.jesprLog("Checking attention-check settings");
+        if (!(this.maxAttentionCheckFailures >= 0) || Math.floor(this.maxAttentionCheckFailures) !== this.maxAttentionCheckFailures){
+            this.displayErrorMessage("Incorrect setting for 'max-attention-check-failures': " + this.design["max-attention-check-failures"]);
+            this.jesprLog("Incorrect setting for 'max-attention-check-failures': " + this.design["max-attention-check-failures"]);
+            result = false;
+        }
+        this.jesprLog("Result = " + result);
+    }
+    // Check deadline settings
+    this.jesprLog("Checking deadline settings");
+    if (!this.isValidDeadlines()){
+        result = false;
+    }
+    this.jesprLog("Result = " + result);
+    // Check break settings
+    if (this.breaks !== "none"){
+        this.jesprLog("Checking break settings");
+        if (!this.isValidBreaks()){
+            result = false;
+        }
+        this.jesprLog("Result = " + result);
+    }
     this.designValidated = result;
+    if (result){
+        this.designFingerprint = getDesignFingerprint(this.design);
+        this.jesprLog("Design fingerprint (SHA-256): " + this.designFingerprint);
+    }
     return result;
 };
 
@@ -1575,58 +4579,196 @@ Experiment.prototype.isValidStimuliSet = function(stimuliSet){
         this.displayErrorMessage("No stimuli 'group' found in experimental stimuli section");
         this.jesprLog("No stimuli 'group' found in experimental stimuli section");
         result = false;
-    } else if (!this.isValidStringSetting(stimuliSet["order"], ["fixed","random"])){
-        this.displayErrorMessage("Incorrect setting for 'order' in stimuli-set: " + stimuliSet["order"]);
-        this.jesprLog("Incorrect setting for 'order' in stimuli-set: " + stimuliSet["order"]);
+    } else if (!this.isValidStringSetting(stimuliSet["order"], ["fixed","random"])){
+        this.displayErrorMessage("Incorrect setting for 'order' in stimuli-set: " + stimuliSet["order"]);
+        this.jesprLog("Incorrect setting for 'order' in stimuli-set: " + stimuliSet["order"]);
+        result = false;
+    } else if (!this.isValidStringSetting(stimuliSet["merge"], ["true","false"])){
+        this.displayErrorMessage("Incorrect setting for 'merge' in stimuli-set: " + stimuliSet["merge"]);
+        this.jesprLog("Incorrect setting for 'merge' in stimuli-set: " + stimuliSet["merge"]);
+        result = false;
+    } else if (!this.isValidItemSettings(stimuliSet, "stimuli-set")){
+        result = false;
+    } else {
+        for (var i=0; i<stimuliSet["groups"].length; i++){
+            if (typeof(stimuliSet["groups"][i]["group"]) === 'undefined') {
+                this.displayErrorMessage("Unknown name in stimuli: expected 'group'");
+                this.jesprLog("Unknown name in stimuli: expected 'group'");
+                result = false;
+            } else if (!this.isValidGroup(stimuliSet["groups"][i]["group"])){
+                result = false;
+            }
+        }
+    }
+    return result;
+};
+
+Experiment.prototype.isValidInstructionScreen = function(instructions){
+    var result = true;
+    for (var i=0; i<instructions.length; i++){
+        var instruction = instructions[i];
+        // Check ID validity
+        if (!instruction["id"]){
+            this.displayErrorMessage("Instruction has no id");
+            this.jesprLog("Instruction has no id");
+            result = false;
+        } else if (!isValidId(instruction["id"])){
+            this.displayErrorMessage("Instruction id is not valid: " + instruction["id"]);
+            this.jesprLog("Instruction id is not valid: " + instruction["id"]);
+            result = false;
+        } else if (this.idList.some(function(id){ return instruction["id"] === id; })){
+            this.displayErrorMessage("Instruction id is not unique: " + instruction["id"]);
+            this.jesprLog("Instruction id is not unique: " + instruction["id"]);
+            result = false;
+        } else {
+            this.idList.push(instruction["id"]);
+        }
+        // Check string validity
+        if (typeof(instruction["string"]) === 'undefined'){
+            this.displayErrorMessage("No `string` element found in instruction screen");
+            this.jesprLog("No `string` element found in instruction screen");
+            result = false;
+        } else if (instruction["string"].length < 1){ // Will this allow an array?
+            this.displayErrorMessage("Empty string in instructions");
+            this.jesprLog("Empty string in instructions");
+            result = false;
+        }
+    }
+    return result;
+};
+
+/*
+ * Checks the practice-criterion, max-practice-attempts and practice-retry-screens
+ * settings. The criterion can only be met if some practice item has an option
+ * marked "correct".
+ */
+Experiment.prototype.isValidPracticeLoop = function(){
+    var result = true;
+    if (isNaN(this.practiceCriterion) || this.practiceCriterion < 0 || this.practiceCriterion > 1){
+        this.displayErrorMessage("Incorrect setting for 'practice-criterion' (expected a proportion from 0 to 1): " + this.design["practice-criterion"]);
+        this.jesprLog("Incorrect setting for 'practice-criterion' (expected a proportion from 0 to 1): " + this.design["practice-criterion"]);
+        result = false;
+    }
+    if (!(this.maxPracticeAttempts >= 1) || Math.floor(this.maxPracticeAttempts) !== this.maxPracticeAttempts){
+        this.displayErrorMessage("Incorrect setting for 'max-practice-attempts': " + this.design["max-practice-attempts"]);
+        this.jesprLog("Incorrect setting for 'max-practice-attempts': " + this.design["max-practice-attempts"]);
+        result = false;
+    }
+    var practice = this.design["practice-stimuli"];
+    if (!practice || !practice["items"] || !practice["items"].some(function(i){
+                return typeof i["item"] !== 'undefined' && typeof i["item"]["options"] !== 'undefined' &&
+                       i["item"]["options"].some(function(o){ return isTrue(o["correct"]); });
+            })){
+        this.displayErrorMessage("A 'practice-criterion' requires practice-stimuli with at least one option marked 'correct'");
+        this.jesprLog("A 'practice-criterion' requires practice-stimuli with at least one option marked 'correct'");
+        result = false;
+    }
+    if (this.design["practice-retry-screens"]){
+        if (!this.isValidInstructionScreen(this.design["practice-retry-screens"])){
+            result = false;
+        }
+    }
+    return result;
+};
+
+/*
+ * Checks the experiment-wide region-deadline and prompt-deadline (a time in ms
+ * or "none") and the timeout-message-duration
+ */
+Experiment.prototype.isValidDeadlines = function(){
+    var result = true;
+    var names = ["region-deadline", "prompt-deadline"];
+    for (var i=0; i<names.length; i++){
+        var deadline = parseDeadline(this.design[names[i]]);
+        if (typeof deadline !== 'undefined' && !(deadline > 0)){
+            this.displayErrorMessage("Incorrect setting for '" + names[i] + "' (expected a time in ms or 'none'): " + this.design[names[i]]);
+            this.jesprLog("Incorrect setting for '" + names[i] + "' (expected a time in ms or 'none'): " + this.design[names[i]]);
+            result = false;
+        }
+    }
+    if (!(this.timeoutMessageDuration >= 0)){
+        this.displayErrorMessage("Incorrect setting for 'timeout-message-duration' (expected a time in ms): " + this.design["timeout-message-duration"]);
+        this.jesprLog("Incorrect setting for 'timeout-message-duration' (expected a time in ms): " + this.design["timeout-message-duration"]);
+        result = false;
+    }
+    return result;
+};
+
+/*
+ * Checks the break-interval (a whole number of items) and the break durations
+ * (ms), which must allow the participant to continue before the break ends
+ */
+Experiment.prototype.isValidBreaks = function(){
+    var result = true;
+    if (this.breaks === "every-n-items" && (!(this.breakInterval >= 1) || Math.floor(this.breakInterval) !== this.breakInterval)){
+        this.displayErrorMessage("Incorrect setting for 'break-interval' (expected a number of items): " + this.design["break-interval"]);
+        this.jesprLog("Incorrect setting for 'break-interval' (expected a number of items): " + this.design["break-interval"]);
+        result = false;
+    }
+    var stimuli = this.design["experiment-stimuli"];
+    if (this.breaks === "between-sets" && typeof stimuli !== 'undefined' && this.getMerge(stimuli["merge"])){
+        this.displayErrorMessage("Breaks 'between-sets' cannot be used when the stimuli-sets are merged");
+        this.jesprLog("Breaks 'between-sets' cannot be used when the stimuli-sets are merged");
+        result = false;
+    }
+    if (!(this.breakMinDuration >= 0)){
+        this.displayErrorMessage("Incorrect setting for 'break-min-duration' (expected a time in ms): " + this.design["break-min-duration"]);
+        this.jesprLog("Incorrect setting for 'break-min-duration' (expected a time in ms): " + this.design["break-min-duration"]);
         result = false;
-    } else if (!this.isValidStringSetting(stimuliSet["merge"], ["true","false"])){
-        this.displayErrorMessage("Incorrect setting for 'merge' in stimuli-set: " + stimuliSet["merge"]);
-        this.jesprLog("Incorrect setting for 'merge' in stimuli-set: " + stimuliSet["merge"]);
+    }
+    if (!(this.breakMaxDuration >= this.breakMinDuration)){
+        this.displayErrorMessage("Incorrect setting for 'break-max-duration' (expected a time in ms, no less than break-min-duration): " + this.design["break-max-duration"]);
+        this.jesprLog("Incorrect setting for 'break-max-duration' (expected a time in ms, no less than break-min-duration): " + this.design["break-max-duration"]);
         result = false;
-    } else {
-        for (var i=0; i<stimuliSet["groups"].length; i++){
-            if (typeof(stimuliSet["groups"][i]["group"]) === 'undefined') {
-                this.displayErrorMessage("Unknown name in stimuli: expected 'group'");
-                this.jesprLog("Unknown name in stimuli: expected 'group'");
-                result = false;
-            } else if (!this.isValidGroup(stimuliSet["groups"][i]["group"])){
-                result = false;
-            }
-        }
     }
     return result;
 };
 
-Experiment.prototype.isValidInstructionScreen = function(instructions){
+/*
+ * The residual-stimuli-sets must be names of stimuli-sets in the experiment-stimuli
+ */
+Experiment.prototype.isValidResidualStimuliSets = function(names){
     var result = true;
-    for (var i=0; i<instructions.length; i++){
-        var instruction = instructions[i];
-        // Check ID validity
-        if (!instruction["id"]){
-            this.displayErrorMessage("Instruction has no id");
-            this.jesprLog("Instruction has no id");
-            result = false;
-        } else if (!isValidId(instruction["id"])){
-            this.displayErrorMessage("Instruction id is not valid: " + instruction["id"]);
-            this.jesprLog("Instruction id is not valid: " + instruction["id"]);
-            result = false;
-        } else if (this.idList.some(function(id){ return instruction["id"] === id; })){
-            this.displayErrorMessage("Instruction id is not unique: " + instruction["id"]);
-            this.jesprLog("Instruction id is not unique: " + instruction["id"]);
+    if (!(names instanceof Array) || names.length < 1){
+        this.displayErrorMessage("The 'residual-stimuli-sets' setting must be a list of stimuli-set names");
+        this.jesprLog("The 'residual-stimuli-sets' setting must be a list of stimuli-set names");
+        return false;
+    }
+    var sets = this.design["experiment-stimuli"] && this.design["experiment-stimuli"]["stimuli-sets"] ? this.design["experiment-stimuli"]["stimuli-sets"] : [];
+    for (var i=0; i<names.length; i++){
+        var name = names[i];
+        if (!sets.some(function(set){ return typeof set["stimuli-set"] !== 'undefined' && set["stimuli-set"]["name"] === name; })){
+            this.displayErrorMessage("Unknown stimuli-set in 'residual-stimuli-sets': " + name);
+            this.jesprLog("Unknown stimuli-set in 'residual-stimuli-sets': " + name);
             result = false;
-        } else {
-            this.idList.push(instruction["id"]);
         }
-        // Check string validity
-        if (typeof(instruction["string"]) === 'undefined'){
-            this.displayErrorMessage("No `string` element found in instruction screen");
-            this.jesprLog("No `string` element found in instruction screen");
-            result = false;
-        } else if (instruction["string"].length < 1){ // Will this allow an array?
-            this.displayErrorMessage("Empty string in instructions");
-            this.jesprLog("Empty string in instructions");
+    }
+    return result;
+};
+
+/*
+ * A lexicon must be an object whose values are numbers, or the URL of a file
+ */
+Experiment.prototype.isValidLexicon = function(lexicon){
+    var result = true;
+    if (typeof lexicon === 'string'){
+        if (jesprTrim(lexicon).length < 1){
+            this.displayErrorMessage("Empty 'lexicon' setting");
+            this.jesprLog("Empty 'lexicon' setting");
             result = false;
         }
+    } else if (typeof lexicon === 'object' && lexicon !== null && !(lexicon instanceof Array)){
+        for (var word in lexicon){
+            if (lexicon.hasOwnProperty(word) && (lexicon[word] === "" || isNaN(Number(lexicon[word])))){
+                this.displayErrorMessage("Frequency of '" + word + "' in lexicon is not a number: " + lexicon[word]);
+                this.jesprLog("Frequency of '" + word + "' in lexicon is not a number: " + lexicon[word]);
+                result = false;
+            }
+        }
+    } else {
+        this.displayErrorMessage("The 'lexicon' setting must be an object of word: frequency pairs or the URL of a JSON file");
+        this.jesprLog("The 'lexicon' setting must be an object of word: frequency pairs or the URL of a JSON file");
+        result = false;
     }
     return result;
 };
@@ -1645,6 +4787,8 @@ Experiment.prototype.isValidGroup = function(group){
         this.displayErrorMessage("Incorrect setting for 'order' in group: " + group["order"]);
         this.jesprLog("Incorrect setting for 'order' in group: " + group["order"]);
         result = false;
+    } else if (!this.isValidItemSettings(group, "group")){
+        result = false;
     } else {
         for (var i=0; i<group["items"].length; i++){
             if (typeof(group["items"][i]["item"]) === 'undefined'){
@@ -1688,6 +4832,187 @@ Experiment.prototype.isValidItem = function(item){
             this.jesprLog("Empty string found!");
             result = false;
         }
+        if (!this.isValidItemSettings(item, "item " + item["id"])){
+            result = false;
+        }
+        if (typeof item["prompt"] !== 'undefined' && !this.isValidPrompt(item)){
+            result = false;
+        }
+        if (typeof item["attention-check"] !== 'undefined' && !this.isValidAttentionCheck(item)){
+            result = false;
+        }
+        if ((typeof item["item-number"] === 'undefined') !== (typeof item["condition"] === 'undefined')){
+            this.displayErrorMessage("Item " + item["id"] + " must have both 'item-number' and 'condition' or neither");
+            this.jesprLog("Item " + item["id"] + " must have both 'item-number' and 'condition' or neither");
+            result = false;
+        }
+    }
+    return result;
+};
+
+/*
+ * Checks the attention-check setting of an item. An attention check is passed
+ * by choosing an option marked "correct" (e.g., the key shown on screen or the
+ * instructed response), so it needs a choice prompt with such an option.
+ * @param item - The item object of the design
+ */
+Experiment.prototype.isValidAttentionCheck = function(item){
+    var check = item["attention-check"];
+    if (!isTrue(check) && check !== false && check !== "false"){
+        this.displayErrorMessage("Incorrect setting for 'attention-check' in item " + item["id"] + ": " + check);
+        this.jesprLog("Incorrect setting for 'attention-check' in item " + item["id"] + ": " + check);
+        return false;
+    }
+    if (isTrue(check)){
+        var promptType = typeof item["prompt-type"] === 'string' ? jesprTrim(item["prompt-type"].toLowerCase()) : "choice";
+        if (typeof item["prompt"] === 'undefined' || promptType !== "choice" || typeof item["options"] === 'undefined' ||
+                !item["options"].some(function(o){ return isTrue(o["correct"]); })){
+            this.displayErrorMessage("Attention-check item " + item["id"] + " needs a choice prompt with an option marked 'correct'");
+            this.jesprLog("Attention-check item " + item["id"] + " needs a choice prompt with an option marked 'correct'");
+            return false;
+        }
+    }
+    return true;
+};
+
+/*
+ * Checks the prompt of an item: "choice" prompts need at least two options
+ * (with unique keys, if given), "likert" prompts need 2-9 scale points and
+ * "text" prompts need nothing further.
+ * @param item - The item object of the design
+ */
+Experiment.prototype.isValidPrompt = function(item){
+    var result = true;
+    var promptType = typeof item["prompt-type"] !== 'undefined' ? item["prompt-type"] : "choice";
+    if (typeof promptType !== 'string' || !this.isValidStringSetting(promptType, ["choice","likert","text"])){
+        this.displayErrorMessage("Incorrect setting for 'prompt-type' in item " + item["id"] + ": " + promptType);
+        this.jesprLog("Incorrect setting for 'prompt-type' in item " + item["id"] + ": " + promptType);
+        return false;
+    }
+    promptType = jesprTrim(promptType.toLowerCase());
+    if (promptType === "choice"){
+        var options = item["options"];
+        if (typeof options === 'undefined' || options.length < 2){
+            this.displayErrorMessage("Item " + item["id"] + " has a prompt but fewer than two options");
+            this.jesprLog("Item " + item["id"] + " has a prompt but fewer than two options");
+            return false;
+        }
+        var usedKeys = [];
+        var hasKeys = options.some(function(o){ return typeof o["keys"] !== 'undefined'; });
+        for (var i=0; i<options.length; i++){
+            if (typeof options[i]["string"] === 'undefined'){
+                this.displayErrorMessage("Option " + (i+1) + " of item " + item["id"] + " has no string");
+                this.jesprLog("Option " + (i+1) + " of item " + item["id"] + " has no string");
+                result = false;
+            }
+            if (typeof options[i]["correct"] !== 'undefined' && !isTrue(options[i]["correct"]) && options[i]["correct"] !== false && options[i]["correct"] !== "false"){
+                this.displayErrorMessage("Incorrect setting for 'correct' in option " + (i+1) + " of item " + item["id"] + ": " + options[i]["correct"]);
+                this.jesprLog("Incorrect setting for 'correct' in option " + (i+1) + " of item " + item["id"] + ": " + options[i]["correct"]);
+                result = false;
+            }
+            if (!hasKeys){
+                continue;
+            }
+            var keys = options[i]["keys"];
+            if (typeof keys === 'undefined' || typeof keys.length === 'undefined' || typeof keys === 'string' || keys.length < 1){
+                this.displayErrorMessage("If any option of item " + item["id"] + " has 'keys', every option must have an array of 'keys'");
+                this.jesprLog("If any option of item " + item["id"] + " has 'keys', every option must have an array of 'keys'");
+                result = false;
+                continue;
+            }
+            for (var k=0; k<keys.length; k++){
+                var key = String(keys[k]).toLowerCase();
+                if (!/^[a-z0-9]$/.test(key)){
+                    this.displayErrorMessage("Invalid key for option " + (i+1) + " of item " + item["id"] + ": " + keys[k] + " (use a single letter or digit)");
+                    this.jesprLog("Invalid key for option " + (i+1) + " of item " + item["id"] + ": " + keys[k] + " (use a single letter or digit)");
+                    result = false;
+                } else if (usedKeys.some(function(u){ return u === key; })){
+                    this.displayErrorMessage("Key " + keys[k] + " is used for more than one option of item " + item["id"]);
+                    this.jesprLog("Key " + keys[k] + " is used for more than one option of item " + item["id"]);
+                    result = false;
+                } else {
+                    usedKeys.push(key);
+                }
+            }
+        }
+        if (!hasKeys && options.length > 9){
+            this.displayErrorMessage("Item " + item["id"] + " has more than 9 options, so each option must define its 'keys'");
+            this.jesprLog("Item " + item["id"] + " has more than 9 options, so each option must define its 'keys'");
+            result = false;
+        }
+    } else if (promptType === "likert"){
+        var scalePoints = typeof item["scale-points"] !== 'undefined' ? Number(item["scale-points"]) : 7;
+        if (!(scalePoints >= 2 && scalePoints <= 9 && Math.floor(scalePoints) === scalePoints)){
+            this.displayErrorMessage("Incorrect setting for 'scale-points' in item " + item["id"] + ": " + item["scale-points"] + " (must be 2-9)");
+            this.jesprLog("Incorrect setting for 'scale-points' in item " + item["id"] + ": " + item["scale-points"] + " (must be 2-9)");
+            result = false;
+        }
+    }
+    return result;
+};
+
+/*
+ * Checks the display settings and deadlines that may be overridden in a stimuli-set, group
+ * or item (see getItemSettings())
+ * @param design - The stimuli-set, group or item object of the design
+ * @param context - A description of the object for error messages
+ */
+Experiment.prototype.isValidItemSettings = function(design, context){
+    var result = true;
+    var stringSettings = { "display": ["moving window","cumulative","centered"],
+                           "orientation": ["horizontal","vertical"],
+                           "option-order": ["random","fixed"] };
+    for (var name in stringSettings){
+        if (stringSettings.hasOwnProperty(name) && typeof design[name] !== 'undefined'){
+            if (typeof design[name] !== 'string' || !this.isValidStringSetting(design[name], stringSettings[name])){
+                this.displayErrorMessage("Incorrect setting for '" + name + "' in " + context + ": " + design[name]);
+                this.jesprLog("Incorrect setting for '" + name + "' in " + context + ": " + design[name]);
+                result = false;
+            }
+        }
+    }
+    var charSettings = ["masking-character", "fixation-character"];
+    for (var i=0; i<charSettings.length; i++){
+        var value = design[charSettings[i]];
+        if (typeof value !== 'undefined' && (typeof value !== 'string' || jesprTrim(value).length < 1)){
+            this.displayErrorMessage("Incorrect setting for '" + charSettings[i] + "' in " + context + ": " + value);
+            this.jesprLog("Incorrect setting for '" + charSettings[i] + "' in " + context + ": " + value);
+            result = false;
+        }
+    }
+    var deadlineSettings = ["region-deadline", "prompt-deadline"];
+    for (var j=0; j<deadlineSettings.length; j++){
+        var deadline = parseDeadline(design[deadlineSettings[j]]);
+        if (typeof deadline !== 'undefined' && !(deadline > 0)){
+            this.displayErrorMessage("Incorrect setting for '" + deadlineSettings[j] + "' in " + context + " (expected a time in ms or 'none'): " + design[deadlineSettings[j]]);
+            this.jesprLog("Incorrect setting for '" + deadlineSettings[j] + "' in " + context + " (expected a time in ms or 'none'): " + design[deadlineSettings[j]]);
+            result = false;
+        }
+    }
+    return result;
+};
+
+Experiment.prototype.isValidLatinSquare = function(stimuli){
+    var result = true;
+    var table = getItemConditionTable(stimuli);
+    if (table.itemNumbers.length < 1){
+        this.displayErrorMessage("No items with 'item-number' and 'condition' found for latin-square list assignment");
+        this.jesprLog("No items with 'item-number' and 'condition' found for latin-square list assignment");
+        result = false;
+    }
+    for (var i=0; i<table.duplicates.length; i++){
+        this.displayErrorMessage("More than one item has item-number " + table.duplicates[i]["item-number"] + " and condition " + table.duplicates[i]["condition"]);
+        this.jesprLog("More than one item has item-number " + table.duplicates[i]["item-number"] + " and condition " + table.duplicates[i]["condition"]);
+        result = false;
+    }
+    for (var k=0; k<table.itemNumbers.length; k++){
+        for (var c=0; c<table.conditions.length; c++){
+            if (typeof table.items[table.itemNumbers[k]][table.conditions[c]] === 'undefined'){
+                this.displayErrorMessage("No item with item-number " + table.itemNumbers[k] + " in condition " + table.conditions[c]);
+                this.jesprLog("No item with item-number " + table.itemNumbers[k] + " in condition " + table.conditions[c]);
+                result = false;
+            }
+        }
     }
     return result;
 };
@@ -1805,6 +5130,239 @@ function mergeArraysRandomly(arrays){
     return;
 }
 
+/*
+ * Checks whether the browser provides what is needed for "performance" timing:
+ * performance.now() for input timestamps and requestAnimationFrame() for
+ * stamping painted onsets.
+ */
+function hasHighResolutionTiming(){
+    return typeof window.performance !== 'undefined' &&
+           typeof window.performance.now === 'function' &&
+           typeof window.requestAnimationFrame === 'function';
+}
+
+/*
+ * Collects the numbered items (those with "item-number" and "condition") from
+ * all stimuli sets and groups of the experimental stimuli.
+ * @param stimuli - The experiment-stimuli object of the design
+ * @returns An object with the item numbers and conditions (in order of first
+ * appearance), a lookup table items[itemNumber][condition] = item ID, and a
+ * list of duplicated item-number/condition pairs
+ */
+function getItemConditionTable(stimuli){
+    var result = { "itemNumbers": [], "conditions": [], "items": {}, "duplicates": [] };
+    var sets = stimuli["stimuli-sets"];
+    for (var i=0; i<sets.length; i++){
+        var groups = sets[i]["stimuli-set"]["groups"];
+        for (var j=0; j<groups.length; j++){
+            var items = groups[j]["group"]["items"];
+            for (var k=0; k<items.length; k++){
+                var item = items[k]["item"];
+                if (typeof item["item-number"] === 'undefined' || typeof item["condition"] === 'undefined'){
+                    continue; // e.g., fillers are presented in every list
+                }
+                var itemNumber = String(item["item-number"]);
+                var condition = String(item["condition"]);
+                if (typeof result.items[itemNumber] === 'undefined'){
+                    result.items[itemNumber] = {};
+                    result.itemNumbers.push(itemNumber);
+                }
+                if (!result.conditions.some(function(c){ return c === condition; })){
+                    result.conditions.push(condition);
+                }
+                if (typeof result.items[itemNumber][condition] !== 'undefined'){
+                    result.duplicates.push({ "item-number": itemNumber, "condition": condition });
+                }
+                result.items[itemNumber][condition] = item["id"];
+            }
+        }
+    }
+    return result;
+}
+
+/*
+ * Computes a hash that identifies an experiment design. Object members are
+ * hashed in alphabetical order, so the fingerprint doesn't depend on the
+ * order (or formatting) in which the design is written.
+ * @param design - The design object
+ * @returns A 64-character hexadecimal string
+ */
+function getDesignFingerprint(design){
+    return sha256(canonicalJson(design));
+}
+
+/*
+ * Serializes a value as JSON with the members of every object sorted by name
+ */
+function canonicalJson(value){
+    if (value === null || typeof value !== 'object'){
+        return typeof value === 'undefined' ? "null" : JSON.stringify(value);
+    }
+    var parts = [];
+    if (value instanceof Array){
+        for (var i=0; i<value.length; i++){ parts.push(canonicalJson(value[i])); }
+        return "[" + parts.join(",") + "]";
+    }
+    var names = [];
+    for (var name in value){
+        if (value.hasOwnProperty(name) && typeof value[name] !== 'undefined' && typeof value[name] !== 'function'){ names.push(name); }
+    }
+    names.sort();
+    for (var j=0; j<names.length; j++){
+        parts.push(JSON.stringify(names[j]) + ":" + canonicalJson(value[names[j]]));
+    }
+    return "{" + parts.join(",") + "}";
+}
+
+/*
+ * Computes the checksum of a results text, as passed to the callback function
+ * and the data-endpoint. Line endings are normalized first, because form
+ * submission changes them to CR LF. Use jespr-verify.html to recheck the
+ * checksum of a results file. The checksum is not keyed, so it detects
+ * accidental changes only: anyone who can edit the results can recompute it.
+ * @param results - The results text (CSV, TSV or JSON)
+ * @returns A 64-character hexadecimal string
+ */
+function getResultsChecksum(results){
+    return sha256(results.replace(/\r\n?/g, "\n"));
+}
+
+/*
+ * Pauses, restarts or stops a PausableTimer, if one has been started
+ * @param timer - The PausableTimer (or undefined)
+ */
+function pauseTimer(timer){
+    if (typeof timer !== 'undefined'){
+        timer.pause();
+    }
+}
+
+function resumeTimer(timer){
+    if (typeof timer !== 'undefined'){
+        timer.resume();
+    }
+}
+
+function stopTimer(timer){
+    if (typeof timer !== 'undefined'){
+        timer.stop();
+    }
+}
+
+/*
+ * Formats a Date.now() value as an ISO 8601 UTC timestamp (like
+ * Date.toISOString(), which IE<9 doesn't support)
+ */
+function toIsoTimestamp(timestamp){
+    var date = new Date(timestamp);
+    var pad = function(number, length){
+        var result = String(number);
+        while (result.length < length){ result = "0" + result; }
+        return result;
+    };
+    return date.getUTCFullYear() + "-" + pad(date.getUTCMonth() + 1, 2) + "-" + pad(date.getUTCDate(), 2) +
+           "T" + pad(date.getUTCHours(), 2) + ":" + pad(date.getUTCMinutes(), 2) + ":" + pad(date.getUTCSeconds(), 2) +
+           "." + pad(date.getUTCMilliseconds(), 3) + "Z";
+}
+
+/*
+ * Describes a value of the keyCode column for the codebook
+ */
+function describeKeyCode(code){
+    var result = "Unknown input";
+    var match = /^KBD:(\d+)$/.exec(code);
+    var optionMatch = /^OPTIONBTN:(\d+)$/.exec(code);
+    if (match){
+        var keyCode = Number(match[1]);
+        var name = keyCode === 32 ? "space bar" : keyCode === 13 ? "Enter" : keyCodeToChar(keyCode);
+        result = "Key press (keyCode " + keyCode + (typeof name !== 'undefined' ? ": " + name : "") + ")";
+    } else if (optionMatch){
+        result = "Click on the button of option " + optionMatch[1] + " (as displayed)";
+    } else if (code === "NEXT_BTN"){
+        result = "Click on the continue button";
+    } else if (code === "LEFT_OPTIONBTN" || code === "RIGHT_OPTIONBTN"){
+        result = "Click on the " + (code === "LEFT_OPTIONBTN" ? "left" : "right") + " option button of a two-option prompt";
+    } else if (code === "SUBMIT_BTN"){
+        result = "Click on the submit button of a text prompt";
+    } else if (code === "TOUCH:x;y"){
+        result = "Tap on the touchscreen at x;y (pixels from the top left of the window)";
+    } else if (code === "TIMER"){
+        result = "Region ended by the timer (timed pacing), end of the timeout-message, or break ended automatically (break-auto-resume)";
+    } else if (code === "TIMEOUT"){
+        result = "Region or prompt deadline expired (region-deadline or prompt-deadline); the trial should be excluded";
+    } else if (code === "RESUMED"){
+        result = "Item restarted from the beginning after the session was interrupted and resumed (showTime is when it was first shown); its earlier events were not saved";
+    }
+    return result;
+}
+
+/*
+ * Normalizes a word for lexicon lookup: lower case, without the punctuation
+ * around it (e.g., "Dog," and "dog" are the same word)
+ */
+function normalizeWord(word){
+    return word.toLowerCase().replace(/^[.,;:!?"'()\[\]{}\u2018\u2019\u201C\u201D\u00AB\u00BB\u2013\u2014-]+|[.,;:!?"'()\[\]{}\u2018\u2019\u201C\u201D\u00AB\u00BB\u2013\u2014-]+$/g, "");
+}
+
+/*
+ * Gets the releaseTime and holdDuration columns of a key press
+ * @param elapsedTime - The time at which the key was pressed
+ * @param releaseTime - The time at which the key was released, or "NA"
+ * (or undefined) for other inputs and keys released after the experiment
+ * @returns An array of two values (null when not applicable)
+ */
+function getKeyReleaseColumns(elapsedTime, releaseTime){
+    if (typeof releaseTime !== 'number'){
+        return [null, null];
+    }
+    return [releaseTime, Math.round((releaseTime - elapsedTime) * 1000) / 1000];
+}
+
+/*
+ * Reads a region-deadline or prompt-deadline setting
+ * @param value - A time in ms, or "none" (or undefined) for no deadline
+ * @returns The deadline as a number (NaN if invalid), or undefined for no deadline
+ */
+function parseDeadline(value){
+    if (typeof value === 'undefined' || value === "none"){
+        return undefined;
+    }
+    return Number(value);
+}
+
+/*
+ * Converts the "NA" placeholder used in timeData and item info to null, which
+ * the DataSerializer writes as the NA token
+ */
+function naToNull(value){
+    return value === "NA" ? null : value;
+}
+
+/*
+ * Checks a boolean design setting, which may be given as true or "true"
+ */
+function isTrue(value){
+    return value === true || value === "true";
+}
+
+/*
+ * Converts the keyCode of a letter or digit key (including the number pad)
+ * to the corresponding lower-case character
+ * @param keyCode - The keyCode from a keydown event
+ * @returns A one-character string, or undefined for any other key
+ */
+function keyCodeToChar(keyCode){
+    var result;
+    if (keyCode >= 48 && keyCode <= 57){ // digits
+        result = String.fromCharCode(keyCode);
+    } else if (keyCode >= 96 && keyCode <= 105){ // number pad digits
+        result = String.fromCharCode(keyCode - 48);
+    } else if (keyCode >= 65 && keyCode <= 90){ // letters
+        result = String.fromCharCode(keyCode).toLowerCase();
+    }
+    return result;
+}
+
 function isValidId(id){
     return id.match(/^[A-Za-z][A-Za-z0-9\.\_\-]*[A-Za-z0-9]$/g) !== null;
 }
@@ -1817,11 +5375,164 @@ function truncateText(text, len){
     return result;
 }
 
+/*
+ * Gets the value of a query parameter in the page URL (e.g., workerId or
+ * PROLIFIC_PID) or undefined if it is not present. (URLSearchParams is not
+ * available in IE.)
+ * @param name - The name of the parameter
+ * @returns The decoded parameter value
+ */
+function getUrlParameter(name){
+    var result;
+    var query = window.location.search.substring(1).split("&");
+    for (var i=0; i<query.length; i++){
+        var pair = query[i].split("=");
+        if (decodeURIComponent(pair[0]) === name){
+            result = typeof pair[1] !== 'undefined' ? decodeURIComponent(pair[1].replace(/\+/g, " ")) : "";
+            break;
+        }
+    }
+    return result;
+}
+
+/*
+ * Computes the SHA-256 hash of a string (UTF-8 encoded). This is a synchronous
+ * implementation because crypto.subtle is asynchronous and is not available
+ * on pages that are not served over https.
+ * @param text - The string to be hashed
+ * @returns The hash as a 64-character hexadecimal string
+ */
+function sha256(text){
+    var k = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2];
+    var h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    var utf8 = unescape(encodeURIComponent(text));
+    var bytes = [];
+    for (var i=0; i<utf8.length; i++){ bytes.push(utf8.charCodeAt(i)); }
+    var bitLength = bytes.length * 8;
+    bytes.push(0x80);
+    while (bytes.length % 64 !== 56){ bytes.push(0); }
+    var hiLength = Math.floor(bitLength / 0x100000000);
+    bytes.push((hiLength >>> 24) & 0xff, (hiLength >>> 16) & 0xff, (hiLength >>> 8) & 0xff, hiLength & 0xff);
+    bytes.push((bitLength >>> 24) & 0xff, (bitLength >>> 16) & 0xff, (bitLength >>> 8) & 0xff, bitLength & 0xff);
+    var w = new Array(64);
+    for (var offset=0; offset<bytes.length; offset+=64){
+        for (var j=0; j<16; j++){
+            w[j] = (bytes[offset + j*4] << 24) | (bytes[offset + j*4 + 1] << 16) | (bytes[offset + j*4 + 2] << 8) | bytes[offset + j*4 + 3];
+        }
+        for (var j=16; j<64; j++){
+            var s0 = rotateRight(w[j-15], 7) ^ rotateRight(w[j-15], 18) ^ (w[j-15] >>> 3);
+            var s1 = rotateRight(w[j-2], 17) ^ rotateRight(w[j-2], 19) ^ (w[j-2] >>> 10);
+            w[j] = (w[j-16] + s0 + w[j-7] + s1) | 0;
+        }
+        var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+        for (var j=0; j<64; j++){
+            var S1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+            var ch = (e & f) ^ (~e & g);
+            var temp1 = (hh + S1 + ch + k[j] + w[j]) | 0;
+            var S0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+            var maj = (a & b) ^ (a & c) ^ (b & c);
+            var temp2 = (S0 + maj) | 0;
+            hh = g; g = f; f = e; e = (d + temp1) | 0;
+            d = c; c = b; b = a; a = (temp1 + temp2) | 0;
+        }
+        h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0; h[6] = (h[6] + g) | 0; h[7] = (h[7] + hh) | 0;
+    }
+    var result = "";
+    for (var i=0; i<h.length; i++){
+        result = result + ("00000000" + (h[i] >>> 0).toString(16)).slice(-8);
+    }
+    return result;
+}
+
+function rotateRight(x, n){
+    return (x >>> n) | (x << (32 - n));
+}
+
 /* The following helper function is necessary because IE<9 doesn't support string.trim() */
 function jesprTrim(x) {
     return x.replace(/^\s+|\s+$/gm,'');
 }
 
+/*
+ * @returns true if the page is in fullscreen
+ */
+function isFullscreen(){
+    return !!(document.fullscreenElement ||
+              document.webkitFullscreenElement ||
+              document.msFullscreenElement ||
+              document.mozFullScreenElement);
+}
+
+/*
+ * @returns true if the browser allows the page to go fullscreen
+ */
+function isFullscreenSupported(){
+    return !!(document.fullscreenEnabled ||
+              document.webkitFullscreenEnabled ||
+              document.msFullscreenEnabled ||
+              document.mozFullScreenEnabled);
+}
+
+/*
+ * Asks the browser to show the page in fullscreen. This only works in
+ * response to user input (e.g., a key press or click).
+ */
+function requestFullscreen(){
+    var request;
+    if (document.documentElement.requestFullscreen) {
+        request = document.documentElement.requestFullscreen();
+    } else if (document.documentElement.webkitRequestFullscreen) {
+        document.documentElement.webkitRequestFullscreen();
+    } else if (document.documentElement.msRequestFullscreen) {
+        document.documentElement.msRequestFullscreen();
+    } else if (document.documentElement.mozRequestFullScreen) {
+        document.documentElement.mozRequestFullScreen();
+    }
+    if (request && typeof request["catch"] === 'function'){
+        request["catch"](function(){}); // A refused request is noticed by the missing fullscreenchange
+    }
+}
+
+function exitFullscreen(){
+    if (document.exitFullscreen) {
+        document.exitFullscreen();
+    } else if (document.webkitExitFullscreen) {
+        document.webkitExitFullscreen();
+    } else if (document.msExitFullscreen) {
+        document.msExitFullscreen();
+    } else if (document.mozCancelFullScreen) {
+        document.mozCancelFullScreen();
+    }
+}
+
+/*
+ * Adds (or removes) a listener for the (vendor-prefixed) fullscreenchange events
+ * @param listener - The event listener
+ * @param add - true to add the listener, false to remove it
+ */
+function setFullscreenchangeListener(listener, add){
+    var events = ["fullscreenchange", "webkitfullscreenchange", "mozfullscreenchange", "MSFullscreenChange"];
+    if (!document.addEventListener){
+        return; // IE<9 doesn't support fullscreen
+    }
+    for (var i=0; i<events.length; i++){
+        if (add){
+            document.addEventListener(events[i], listener);
+        } else {
+            document.removeEventListener(events[i], listener);
+        }
+    }
+}
+
 /**
  * Gets the browser name or returns an empty string if unknown. 
  * This function also caches the result to provide for any 
@@ -0,0 +1,73 @@
+/*
+ * A minimal stand-in for a data-endpoint server, for testing the submission
+ * of results on your own machine. It needs only Node.js (no packages).
+ *
+ * Usage: node jespr-receiver.js [port] [failures]
+ *   port     - The port to listen on (default 8765)
+ *   failures - The number of requests to answer with an error before
+ *              accepting one (default 0), to try out submission-retries
+ *
+ * Then set "data-endpoint": "http://localhost:8765/" in the design file and
+ * run the experiment. Each submission is printed and saved as
+ * jespr-submission-<n>.json in the current directory: "complete": true for
+ * the final submission (sent with XMLHttpRequest, or with navigator.sendBeacon
+ * if the page is closed while it is still being sent) and false for the
+ * partial results sent (with navigator.sendBeacon) when the page is closed or
+ * reloaded before the end of the experiment.
+ */
+"use strict";
+
+var http = require("http");
+var fs = require("fs");
+
+var port = typeof process.argv[2] !== 'undefined' ? Number(process.argv[2]) : 8765;
+var failures = typeof process.argv[3] !== 'undefined' ? Number(process.argv[3]) : 0;
+var requestCount = 0;
+
+var server = http.createServer(function(request, response){
+    // The experiment page is usually served from another origin (or a file),
+    // so the request needs CORS headers
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader("Access-Control-Allow-Methods", "POST");
+    response.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (request.method === "OPTIONS"){ // preflight for the JSON content type
+        response.end();
+        return;
+    }
+    if (request.method !== "POST"){
+        response.statusCode = 405;
+        response.end();
+        return;
+    }
+    var body = "";
+    request.on("data", function(chunk){
+        body += chunk;
+    });
+    request.on("end", function(){
+        requestCount++;
+        if (requestCount <= failures){
+            console.log("Request " + requestCount + ": answering with an error (status 500)");
+            response.statusCode = 500;
+            response.end();
+            return;
+        }
+        var submission;
+        try {
+            submission = JSON.parse(body);
+        } catch (err) {
+            console.log("Request " + requestCount + ": not valid JSON (" + err.message + ")");
+            response.statusCode = 400;
+            response.end();
+            return;
+        }
+        var fileName = "jespr-submission-" + requestCount + ".json";
+        fs.writeFileSync(fileName, JSON.stringify(submission, null, 2));
+        console.log("Request " + requestCount + ": " + (submission["complete"] ? "complete" : "partial") + " results from participant " +
+                    submission["participant"] + " (" + request.headers["content-type"] + ", " + body.length + " characters) saved as " + fileName);
+        response.end("OK");
+    });
+});
+
+server.listen(port, function(){
+    console.log("Waiting for JESPR submissions at http://localhost:" + port + "/ (Ctrl+C to stop)");
+});
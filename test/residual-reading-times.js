@@ -0,0 +1,71 @@
+/*
+ * Checks that residual reading times are only fitted to reading times that
+ * the participant produced. It needs only Node.js (no packages):
+ *
+ *   node test/residual-reading-times.js
+ *
+ * jespr-lib.js is loaded with a stand-in for the browser's document, which is
+ * enough to construct and validate an experiment (but not to run one).
+ */
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+// Any property of a stand-in element is another stand-in, and so is the result of calling one
+function standIn(){
+    var target = function(){ return standIn(); };
+    return new Proxy(target, {
+        get: function(t, name){
+            if (name === Symbol.toPrimitive){
+                return function(){ return ""; };
+            }
+            if (!(name in t)){
+                t[name] = standIn();
+            }
+            return t[name];
+        }
+    });
+}
+
+var alerts = [];
+var context = { "console": { "log": function(){} },
+                "document": standIn(),
+                "window": standIn(),
+                "navigator": { "userAgent": "node" },
+                "alert": function(message){ alerts.push(message); } };
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "jespr-lib.js"), "utf8"), context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "samples", "jespr-sample3.js"), "utf8"), context);
+
+function validate(settings){
+    var design = JSON.parse(JSON.stringify(vm.runInContext("jesprExperimentDesign", context)));
+    for (var name in settings){
+        design[name] = settings[name];
+    }
+    alerts = [];
+    var experiment = new context.Experiment(design, standIn());
+    return experiment.validateDesign();
+}
+
+// Residual reading times with self-paced reading
+assert.strictEqual(validate({ "residual-reading-times": "true" }), true);
+assert.deepStrictEqual(alerts, []);
+
+// With timed pacing, region durations are set by the design
+assert.strictEqual(validate({ "residual-reading-times": "true", "pacing": "timed", "region-duration": "300" }), false);
+assert.deepStrictEqual(alerts, ["Residual reading times cannot be used with timed pacing"]);
+assert.strictEqual(validate({ "pacing": "timed", "region-duration": "300" }), true);
+
+// Only regions ended by the participant are reading times
+var isReadingTime = context.Item.prototype.isReadingTime;
+assert.strictEqual(isReadingTime({ "regionIndex": 0, "keyCode": "KBD:32", "interruptionTime": 0 }), true);
+assert.strictEqual(isReadingTime({ "regionIndex": 0, "keyCode": "TIMER", "interruptionTime": 0 }), false);
+assert.strictEqual(isReadingTime({ "regionIndex": 0, "keyCode": "TIMEOUT", "interruptionTime": 0 }), false);
+assert.strictEqual(isReadingTime({ "regionIndex": 0, "keyCode": "KBD:32", "interruptionTime": 250 }), false);
+assert.strictEqual(isReadingTime({ "regionIndex": 0, "keyCode": "KBD:32", "ignored": 1 }), false);
+assert.strictEqual(isReadingTime({ "regionIndex": "NA", "keyCode": "KBD:32" }), false);
+
+console.log("residual-reading-times: all checks passed");